@@ -0,0 +1,257 @@
+import crypto from "crypto";
+import path from "path";
+import mongoose from "mongoose";
+import storage from "../lib/storage/index.js";
+import { getUnattachedExpiry } from "../lib/attachments.js";
+import { createThumbnail, IMAGE_MIME_TYPES } from "../lib/images.js";
+import {
+  getConversationId,
+  getMessagePage,
+  isConversationParticipant,
+} from "../lib/messages.js";
+import Attachment, {
+  MAX_VOICE_DURATION,
+  MAX_WAVEFORM_POINTS,
+  VOICE_DURATION_TOLERANCE,
+} from "../models/Attachment.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+
+// Finds an attachment the user may download. Missing, forbidden and deleted all
+// look the same so ids can't be probed; an attachment whose message was deleted
+// stays gone even if its files outlived the message.
+const findDownloadableAttachment = async (attachmentId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) return null;
+
+  const attachment = await Attachment.findById(attachmentId);
+  if (!attachment || !isConversationParticipant(attachment.conversationId, userId)) {
+    return null;
+  }
+
+  const isDeleted = await Message.exists({ attachment: attachment._id, isDeleted: true });
+  return isDeleted ? null : attachment;
+};
+
+export async function createAttachment(req, res) {
+  // files already written for this upload, removed again if it fails
+  const savedKeys = [];
+
+  try {
+    const { targetUserId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ message: "A file is required" });
+    }
+
+    if (!targetUserId) {
+      return res.status(400).json({ message: "Target user is required" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: "Invalid target user" });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, targetUserId)) {
+      return res.status(403).json({ message: "You can't message this user" });
+    }
+
+    const conversationId = getConversationId(req.user._id, targetUserId);
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const storageKey = `${conversationId}/${crypto.randomUUID()}${extension}`;
+
+    const kind = req.file.mimetype.startsWith("image/")
+      ? "image"
+      : req.file.mimetype.startsWith("audio/")
+        ? "voice"
+        : "file";
+
+    // images get their dimensions and a thumbnail so chats don't load full files.
+    // The declared mimetype only picks the kind; what sharp reads decides whether
+    // it really is an image and which content type it is served with.
+    let imageInfo = {};
+    if (kind === "image") {
+      let image;
+      try {
+        image = await createThumbnail(req.file.buffer);
+      } catch (error) {
+        return res.status(400).json({ message: "This image could not be processed" });
+      }
+
+      if (!IMAGE_MIME_TYPES[image.format]) {
+        return res.status(400).json({ message: "Images must be JPEG, PNG, WebP or GIF" });
+      }
+
+      const thumbnailKey = `${storageKey}.thumb.webp`;
+      await storage.save(thumbnailKey, image.thumbnail);
+      savedKeys.push(thumbnailKey);
+      imageInfo = {
+        width: image.width,
+        height: image.height,
+        thumbnailKey,
+        mimeType: IMAGE_MIME_TYPES[image.format],
+      };
+    }
+
+    // voice notes carry duration and waveform measured by the recording browser
+    let voiceInfo = {};
+    if (kind === "voice") {
+      const duration = Number(req.body.duration);
+      if (
+        !Number.isFinite(duration) ||
+        duration <= 0 ||
+        duration > MAX_VOICE_DURATION + VOICE_DURATION_TOLERANCE
+      ) {
+        return res
+          .status(400)
+          .json({ message: `Voice messages must be under ${MAX_VOICE_DURATION / 60} minutes` });
+      }
+
+      let waveform = [];
+      try {
+        waveform = JSON.parse(req.body.waveform || "[]");
+      } catch (error) {
+        return res.status(400).json({ message: "Invalid waveform" });
+      }
+      if (!Array.isArray(waveform)) {
+        return res.status(400).json({ message: "Invalid waveform" });
+      }
+
+      voiceInfo = {
+        duration: Math.round(Math.min(duration, MAX_VOICE_DURATION) * 10) / 10,
+        waveform: waveform
+          .slice(0, MAX_WAVEFORM_POINTS)
+          .map((point) => Math.min(Math.max(Math.round(Number(point) || 0), 0), 100)),
+      };
+    }
+
+    await storage.save(storageKey, req.file.buffer);
+    savedKeys.push(storageKey);
+
+    const attachment = await Attachment.create({
+      uploader: req.user._id,
+      conversationId,
+      kind,
+      storageKey,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      ...imageInfo, // replaces the declared mimeType for images
+      ...voiceInfo,
+      unattachedUntil: getUnattachedExpiry(),
+    });
+
+    res.status(201).json({
+      _id: attachment._id,
+      kind: attachment.kind,
+      fileName: attachment.originalName,
+      fileSize: attachment.size,
+      mimeType: attachment.mimeType,
+      width: attachment.width,
+      height: attachment.height,
+      duration: attachment.duration,
+    });
+  } catch (error) {
+    Promise.all(savedKeys.map((key) => storage.remove(key))).catch((removeError) =>
+      console.log("Error removing failed upload:", removeError.message)
+    );
+    console.log("Error in createAttachment controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function downloadAttachment(req, res) {
+  try {
+    const attachment = await findDownloadableAttachment(req.params.id, req.user._id);
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    const disposition = attachment.kind === "file" ? "attachment" : "inline";
+
+    res.setHeader("Content-Type", attachment.mimeType);
+    // never let the browser reinterpret an upload as something executable
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Length", attachment.size);
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+    );
+    res.setHeader("Cache-Control", "private, max-age=86400");
+
+    const stream = storage.createReadStream(attachment.storageKey);
+    stream.on("error", (error) => {
+      console.log("Error streaming attachment:", error.message);
+      if (!res.headersSent) {
+        res.status(404).json({ message: "Attachment not found" });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.log("Error in downloadAttachment controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function downloadThumbnail(req, res) {
+  try {
+    const attachment = await findDownloadableAttachment(req.params.id, req.user._id);
+    if (!attachment?.thumbnailKey) {
+      return res.status(404).json({ message: "Thumbnail not found" });
+    }
+
+    res.setHeader("Content-Type", "image/webp");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=604800");
+
+    const stream = storage.createReadStream(attachment.thumbnailKey);
+    stream.on("error", (error) => {
+      console.log("Error streaming thumbnail:", error.message);
+      if (!res.headersSent) {
+        res.status(404).json({ message: "Thumbnail not found" });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.log("Error in downloadThumbnail controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Images and files shared in a conversation, newest first, paginated like history
+export async function getConversationMedia(req, res) {
+  try {
+    const { userId } = req.params;
+    const { before, limit, kind } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user" });
+    }
+
+    const conversationId = getConversationId(req.user._id, userId);
+    const messageTypes = ["image", "file"].includes(kind) ? [kind] : ["image", "file"];
+
+    const page = await getMessagePage({
+      conversationId,
+      before,
+      limit,
+      filter: {
+        attachment: { $ne: null },
+        messageType: { $in: messageTypes },
+        isDeleted: false,
+      },
+    });
+
+    res.status(200).json({ conversationId, ...page, messages: page.messages.reverse() });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in getConversationMedia controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
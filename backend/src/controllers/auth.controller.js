@@ -1,4 +1,5 @@
 import { upsertStreamUser } from "../lib/stream.js";
+import { isSupportedLanguage } from "../lib/languages.js";
 import User from "../models/User.js";
 import jwt from "jsonwebtoken";
 
@@ -101,11 +102,21 @@ export function logout(req, res) {
   res.status(200).json({ success: true, message: "Logout successful" });
 }
 
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 export async function onboard(req, res) {
   try {
     const userId = req.user._id;
 
-    const { fullName, bio, nativeLanguage, learningLanguage, location } = req.body;
+    const { fullName, bio, nativeLanguage, learningLanguage, location, profilePic, timezone } =
+      req.body;
 
     if (!fullName || !bio || !nativeLanguage || !learningLanguage || !location) {
       return res.status(400).json({
@@ -120,14 +131,31 @@ export async function onboard(req, res) {
       });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      {
-        ...req.body,
-        isOnboarded: true,
-      },
-      { new: true }
+    // anything but a string (an array, an object) can't be normalised below
+    const unsupportedLanguage = [nativeLanguage, learningLanguage].find(
+      (language) => typeof language !== "string" || !isSupportedLanguage(language)
     );
+    if (unsupportedLanguage) {
+      return res.status(400).json({ message: `Unsupported language "${unsupportedLanguage}"` });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    // only profile fields, so clients can't set friends, isOnboarded etc. themselves
+    const updates = {
+      fullName,
+      bio,
+      nativeLanguage: nativeLanguage.toLowerCase(),
+      learningLanguage: learningLanguage.toLowerCase(),
+      location,
+      isOnboarded: true,
+    };
+    if (profilePic !== undefined) updates.profilePic = profilePic;
+    if (timezone) updates.timezone = timezone;
+
+    const updatedUser = await User.findByIdAndUpdate(userId, updates, { new: true });
 
     if (!updatedUser) return res.status(404).json({ message: "User not found" });
 
@@ -1,4 +1,14 @@
+import mongoose from "mongoose";
 import { generateStreamToken } from "../lib/stream.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import ConversationSettings from "../models/ConversationSettings.js";
+import {
+  getConversationId,
+  getMessagePage,
+  MAX_CONVERSATIONS_PAGE_SIZE,
+} from "../lib/messages.js";
+import { getLanguageCode } from "../lib/languages.js";
 
 export async function getStreamToken(req, res) {
   try {
@@ -10,3 +20,182 @@ export async function getStreamToken(req, res) {
     res.status(500).json({ message: "Internal Server Error" });
   }
 }
+
+export async function getConversations(req, res) {
+  try {
+    const myId = req.user._id;
+    const { before, limit } = req.query;
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 20, 1),
+      MAX_CONVERSATIONS_PAGE_SIZE
+    );
+
+    // conversations are hidden when either side has blocked the other
+    const blockedBy = await User.find({ blockedUsers: myId }).distinct("_id");
+    const hiddenPartnerIds = [...req.user.blockedUsers, ...blockedBy];
+
+    // `before` is the newest message of the previous page's last conversation;
+    // tie-break on _id so conversations sharing a timestamp aren't skipped
+    let cursorFilter = {};
+    if (before) {
+      const cursorMessage = mongoose.Types.ObjectId.isValid(before)
+        ? await Message.findOne({
+            _id: before,
+            $or: [{ senderId: myId }, { receiverId: myId }],
+          }).select("createdAt")
+        : null;
+
+      if (!cursorMessage) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+
+      cursorFilter = {
+        $or: [
+          { "lastMessage.createdAt": { $lt: cursorMessage.createdAt } },
+          {
+            "lastMessage.createdAt": cursorMessage.createdAt,
+            "lastMessage._id": { $lt: cursorMessage._id },
+          },
+        ],
+      };
+    }
+
+    // one entry per conversation with its newest message and my unread count
+    const conversations = await Message.aggregate([
+      {
+        $match: {
+          $or: [{ senderId: myId }, { receiverId: myId }],
+          senderId: { $nin: hiddenPartnerIds },
+          receiverId: { $nin: hiddenPartnerIds },
+        },
+      },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: "$conversationId",
+          lastMessage: { $first: "$$ROOT" },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ["$receiverId", myId] }, { $eq: ["$isRead", false] }] },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+      { $match: cursorFilter },
+      { $sort: { "lastMessage.createdAt": -1, "lastMessage._id": -1 } },
+      { $limit: pageSize + 1 },
+    ]);
+
+    const hasMore = conversations.length > pageSize;
+    const page = conversations.slice(0, pageSize);
+
+    const getPartnerId = ({ lastMessage }) =>
+      lastMessage.senderId.equals(myId) ? lastMessage.receiverId : lastMessage.senderId;
+
+    const partners = await User.find({ _id: { $in: page.map(getPartnerId) } }).select(
+      "fullName profilePic nativeLanguage learningLanguage"
+    );
+
+    const partnersById = new Map(partners.map((partner) => [partner._id.toString(), partner]));
+
+    const result = page
+      .map((conversation) => {
+        const { lastMessage } = conversation;
+        const partner = partnersById.get(getPartnerId(conversation).toString());
+
+        return {
+          conversationId: conversation._id,
+          partner,
+          lastMessage: {
+            _id: lastMessage._id,
+            text: lastMessage.text,
+            messageType: lastMessage.messageType,
+            senderId: lastMessage.senderId,
+            isDeleted: lastMessage.isDeleted,
+            timestamp: lastMessage.createdAt,
+          },
+          unreadCount: conversation.unreadCount,
+        };
+      })
+      // drop conversations with deleted users
+      .filter((conversation) => conversation.partner);
+
+    res.status(200).json({
+      conversations: result,
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1].lastMessage._id : null,
+    });
+  } catch (error) {
+    console.log("Error in getConversations controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function getMessages(req, res) {
+  try {
+    const { userId } = req.params;
+    const { before, limit } = req.query;
+
+    const conversationId = getConversationId(req.user._id, userId);
+    const page = await getMessagePage({ conversationId, before, limit });
+
+    res.status(200).json({ conversationId, ...page });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in getMessages controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+const serializeSettings = (settings, user) => ({
+  autoTranslate: settings?.autoTranslate || false,
+  // language auto-translations are written in, so the client can pick them out
+  targetLanguage: getLanguageCode(user.nativeLanguage),
+});
+
+export async function getConversationSettings(req, res) {
+  try {
+    const conversationId = getConversationId(req.user._id, req.params.userId);
+    const settings = await ConversationSettings.findOne({ user: req.user._id, conversationId });
+
+    res.status(200).json(serializeSettings(settings, req.user));
+  } catch (error) {
+    console.log("Error in getConversationSettings controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function updateConversationSettings(req, res) {
+  try {
+    const { autoTranslate } = req.body;
+
+    if (typeof autoTranslate !== "boolean") {
+      return res.status(400).json({ message: "autoTranslate must be true or false" });
+    }
+
+    if (autoTranslate && !getLanguageCode(req.user.nativeLanguage)) {
+      return res
+        .status(400)
+        .json({ message: "Set a supported native language to use auto-translate" });
+    }
+
+    const conversationId = getConversationId(req.user._id, req.params.userId);
+    const settings = await ConversationSettings.findOneAndUpdate(
+      { user: req.user._id, conversationId },
+      { autoTranslate },
+      { upsert: true, new: true }
+    );
+
+    res.status(200).json(serializeSettings(settings, req.user));
+  } catch (error) {
+    console.log("Error in updateConversationSettings controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,50 @@
+import { MAX_CORRECTIONS_PAGE_SIZE, serializeCorrection } from "../lib/corrections.js";
+import Correction from "../models/Correction.js";
+
+// Corrections I received (default) or gave, newest first
+export async function getCorrections(req, res) {
+  try {
+    const { role = "received", before, limit } = req.query;
+
+    if (!["received", "given"].includes(role)) {
+      return res.status(400).json({ message: "role must be received or given" });
+    }
+
+    const filter = role === "given" ? { author: req.user._id } : { recipient: req.user._id };
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 20, 1),
+      MAX_CORRECTIONS_PAGE_SIZE
+    );
+
+    const corrections = await Correction.find(filter)
+      .populate("author", "fullName profilePic")
+      .populate("recipient", "fullName profilePic")
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = corrections.length > pageSize;
+    const page = corrections.slice(0, pageSize);
+
+    res.status(200).json({
+      corrections: page.map((correction) => ({
+        ...serializeCorrection(correction),
+        recipientName: correction.recipient?.fullName ?? null,
+        recipientPic: correction.recipient?.profilePic ?? null,
+      })),
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1].createdAt : null,
+    });
+  } catch (error) {
+    console.log("Error in getCorrections controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
@@ -0,0 +1,12 @@
+import { LANGUAGES } from "../lib/languages.js";
+
+export async function getLanguages(req, res) {
+  try {
+    // the registry only changes with a deploy
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    res.status(200).json(LANGUAGES);
+  } catch (error) {
+    console.log("Error in getLanguages controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
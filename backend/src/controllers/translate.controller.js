@@ -0,0 +1,57 @@
+import { detectLanguage } from "../lib/translation/detect.js";
+import {
+  AUTO_DETECT,
+  getTranslationUsage,
+  MAX_TRANSLATION_LENGTH,
+  translateText,
+} from "../lib/translation/service.js";
+
+export async function translate(req, res) {
+  try {
+    // the source language is detected when omitted
+    const { text, from = AUTO_DETECT, to } = req.body;
+
+    const result = await translateText({ text, from, to, userId: req.user._id });
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in translate controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function detect(req, res) {
+  try {
+    const { text } = req.body;
+
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ message: "Text is required" });
+    }
+    if (text.length > MAX_TRANSLATION_LENGTH) {
+      return res
+        .status(400)
+        .json({ message: `Text must be at most ${MAX_TRANSLATION_LENGTH} characters` });
+    }
+
+    // null when the text is too short or ambiguous to tell
+    res.status(200).json({ language: detectLanguage(text) });
+  } catch (error) {
+    console.log("Error in detect controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function getUsage(req, res) {
+  try {
+    const usage = await getTranslationUsage(req.user._id);
+
+    res.status(200).json(usage);
+  } catch (error) {
+    console.log("Error in getUsage controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
@@ -1,19 +1,111 @@
+import mongoose from "mongoose";
 import User from "../models/User.js";
-import FriendRequest from "../models/FriendRequest.js";
+import presence from "../lib/presence/index.js";
+import { getPresence } from "../lib/presence/service.js";
+import { scoreCandidate } from "../lib/matchmaking.js";
+import FriendRequest, {
+  DAY_IN_MS,
+  DECLINED_REQUEST_COOLDOWN_DAYS,
+} from "../models/FriendRequest.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Most users scored per recommendations request, however large the user base
+const MAX_RECOMMENDATION_CANDIDATES = 500;
+
+const exactMatch = (value) => new RegExp(`^${escapeRegex(String(value).trim())}$`, "i");
 
 export async function getRecommendedUsers(req, res) {
   try {
     const currentUserId = req.user.id;
     const currentUser = req.user;
 
-    const recommendedUsers = await User.find({
-      $and: [
-        { _id: { $ne: currentUserId } }, //exclude current user
-        { _id: { $nin: currentUser.friends } }, // exclude current user's friends
-        { isOnboarded: true },
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 50);
+    const { language, country, online } = req.query;
+
+    const conditions = [
+      { _id: { $ne: currentUserId } }, //exclude current user
+      { _id: { $nin: currentUser.friends } }, // exclude current user's friends
+      { _id: { $nin: currentUser.blockedUsers } }, // exclude users I blocked
+      { blockedUsers: { $ne: currentUserId } }, // exclude users who blocked me
+      { isOnboarded: true },
+    ];
+
+    // filter: speaks or learns the given language
+    if (language) {
+      const languageRegex = exactMatch(language);
+      conditions.push({
+        $or: [{ nativeLanguage: languageRegex }, { learningLanguage: languageRegex }],
+      });
+    }
+
+    // filter: location ends with the given country
+    if (country) {
+      conditions.push({ location: new RegExp(`${escapeRegex(String(country).trim())}\\s*$`, "i") });
+    }
+
+    const onlineUserIds = new Set(await presence.getOnlineUserIds());
+
+    // filter: currently connected users only
+    if (online === "true") {
+      conditions.push({ _id: { $in: Array.from(onlineUserIds) } });
+    }
+
+    // Only a bounded, recently active slice is scored: language partners first
+    // (the matches that score highest), then anyone else to fill the remaining slots
+    const findCandidates = (extraConditions, limit) =>
+      User.find({ $and: [...conditions, ...extraConditions] })
+        .select("-password -email -friends -blockedUsers")
+        .sort({ lastSeenAt: -1, updatedAt: -1 })
+        .limit(limit)
+        .lean();
+
+    const myLanguages = [currentUser.nativeLanguage, currentUser.learningLanguage]
+      .filter(Boolean)
+      .map(exactMatch);
+    const languagePartnerFilter = {
+      $or: [
+        ...(currentUser.learningLanguage
+          ? [{ nativeLanguage: exactMatch(currentUser.learningLanguage) }]
+          : []),
+        { learningLanguage: { $in: myLanguages } },
       ],
+    };
+
+    const candidates = await findCandidates([languagePartnerFilter], MAX_RECOMMENDATION_CANDIDATES);
+    if (candidates.length < MAX_RECOMMENDATION_CANDIDATES) {
+      candidates.push(
+        ...(await findCandidates(
+          [{ $nor: [languagePartnerFilter] }],
+          MAX_RECOMMENDATION_CANDIDATES - candidates.length
+        ))
+      );
+    }
+
+    const now = Date.now();
+    const rankedUsers = candidates
+      .map(({ lastSeenAt, ...candidate }) => {
+        const isOnline = onlineUserIds.has(candidate._id.toString());
+        // presence and last seen feed the score but are only ever shown to friends
+        return {
+          ...candidate,
+          ...scoreCandidate(currentUser, { ...candidate, lastSeenAt }, { isOnline, now }),
+        };
+      })
+      .sort(
+        (a, b) => b.matchScore - a.matchScore || new Date(b.updatedAt) - new Date(a.updatedAt)
+      );
+
+    const start = (page - 1) * limit;
+
+    res.status(200).json({
+      users: rankedUsers.slice(start, start + limit),
+      page,
+      limit,
+      total: rankedUsers.length,
+      hasMore: start + limit < rankedUsers.length,
     });
-    res.status(200).json(recommendedUsers);
   } catch (error) {
     console.error("Error in getRecommendedUsers controller", error.message);
     res.status(500).json({ message: "Internal Server Error" });
@@ -33,11 +125,96 @@ export async function getMyFriends(req, res) {
   }
 }
 
+// Online/away/offline and last seen for each of my friends
+export async function getFriendsPresence(req, res) {
+  try {
+    const user = await User.findById(req.user.id).select("friends");
+    const friendsPresence = await getPresence(user.friends);
+
+    res.status(200).json(friendsPresence);
+  } catch (error) {
+    console.error("Error in getFriendsPresence controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function getUserProfile(req, res) {
+  try {
+    const myId = req.user.id;
+    const { id: userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    const user = await User.findById(userId).select(
+      "fullName profilePic bio nativeLanguage learningLanguage location isOnboarded friends blockedUsers"
+    );
+
+    // users who haven't finished onboarding or who blocked me aren't visible
+    if (
+      !user ||
+      (!user.isOnboarded && userId !== myId) ||
+      user.blockedUsers.some((blockedId) => blockedId.toString() === myId)
+    ) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    let friendshipStatus = "none";
+    let friendRequestId = null;
+
+    if (userId === myId) {
+      friendshipStatus = "self";
+    } else if (req.user.blockedUsers.some((blockedId) => blockedId.toString() === userId)) {
+      friendshipStatus = "blocked";
+    } else if (user.friends.some((friendId) => friendId.toString() === myId)) {
+      friendshipStatus = "friends";
+    } else {
+      // a request past its expiry must not show as pending
+      await FriendRequest.expireStale(req.user._id);
+
+      const pendingRequest = await FriendRequest.findOne({
+        $or: [
+          { sender: myId, recipient: userId },
+          { sender: userId, recipient: myId },
+        ],
+        status: "pending",
+      });
+
+      if (pendingRequest) {
+        friendshipStatus =
+          pendingRequest.sender.toString() === myId ? "request-sent" : "request-received";
+        friendRequestId = pendingRequest._id;
+      }
+    }
+
+    // safe projection - never expose email, password, friends or block lists
+    res.status(200).json({
+      _id: user._id,
+      fullName: user.fullName,
+      profilePic: user.profilePic,
+      bio: user.bio,
+      nativeLanguage: user.nativeLanguage,
+      learningLanguage: user.learningLanguage,
+      location: user.location,
+      friendshipStatus,
+      friendRequestId,
+    });
+  } catch (error) {
+    console.error("Error in getUserProfile controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
 export async function sendFriendRequest(req, res) {
   try {
     const myId = req.user.id;
     const { id: recipientId } = req.params;
 
+    if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
     // prevent sending req to yourself
     if (myId === recipientId) {
       return res.status(400).json({ message: "You can't send friend request to yourself" });
@@ -48,23 +225,46 @@ export async function sendFriendRequest(req, res) {
       return res.status(404).json({ message: "Recipient not found" });
     }
 
+    if (await User.isBlockedBetween(myId, recipientId)) {
+      return res.status(403).json({ message: "You can't send a friend request to this user" });
+    }
+
     // check if user is already friends
     if (recipient.friends.includes(myId)) {
       return res.status(400).json({ message: "You are already friends with this user" });
     }
 
-    // check if a req already exists
+    await FriendRequest.expireStale(req.user._id);
+
+    // check if a pending req already exists
     const existingRequest = await FriendRequest.findOne({
       $or: [
         { sender: myId, recipient: recipientId },
         { sender: recipientId, recipient: myId },
       ],
+      status: "pending",
     });
 
     if (existingRequest) {
+      const message =
+        existingRequest.sender.toString() === myId
+          ? "A friend request already exists between you and this user"
+          : "This user has already sent you a friend request";
+      return res.status(400).json({ message });
+    }
+
+    // don't let a sender immediately re-send a request that was just declined
+    const recentlyDeclined = await FriendRequest.findOne({
+      sender: myId,
+      recipient: recipientId,
+      status: "declined",
+      respondedAt: { $gt: new Date(Date.now() - DECLINED_REQUEST_COOLDOWN_DAYS * DAY_IN_MS) },
+    });
+
+    if (recentlyDeclined) {
       return res
         .status(400)
-        .json({ message: "A friend request already exists between you and this user" });
+        .json({ message: "This user declined your request recently, please try again later" });
     }
 
     const friendRequest = await FriendRequest.create({
@@ -83,6 +283,12 @@ export async function acceptFriendRequest(req, res) {
   try {
     const { id: requestId } = req.params;
 
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ message: "Invalid friend request id" });
+    }
+
+    await FriendRequest.expireStale(req.user._id);
+
     const friendRequest = await FriendRequest.findById(requestId);
 
     if (!friendRequest) {
@@ -94,7 +300,12 @@ export async function acceptFriendRequest(req, res) {
       return res.status(403).json({ message: "You are not authorized to accept this request" });
     }
 
+    if (friendRequest.status !== "pending") {
+      return res.status(400).json({ message: "This friend request is no longer pending" });
+    }
+
     friendRequest.status = "accepted";
+    friendRequest.respondedAt = new Date();
     await friendRequest.save();
 
     // add each user to the other's friends array
@@ -114,8 +325,82 @@ export async function acceptFriendRequest(req, res) {
   }
 }
 
+export async function declineFriendRequest(req, res) {
+  try {
+    const { id: requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ message: "Invalid friend request id" });
+    }
+
+    await FriendRequest.expireStale(req.user._id);
+
+    const friendRequest = await FriendRequest.findById(requestId);
+
+    if (!friendRequest) {
+      return res.status(404).json({ message: "Friend request not found" });
+    }
+
+    // Verify the current user is the recipient
+    if (friendRequest.recipient.toString() !== req.user.id) {
+      return res.status(403).json({ message: "You are not authorized to decline this request" });
+    }
+
+    if (friendRequest.status !== "pending") {
+      return res.status(400).json({ message: "This friend request is no longer pending" });
+    }
+
+    friendRequest.status = "declined";
+    friendRequest.respondedAt = new Date();
+    await friendRequest.save();
+
+    res.status(200).json({ message: "Friend request declined" });
+  } catch (error) {
+    console.log("Error in declineFriendRequest controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function cancelFriendRequest(req, res) {
+  try {
+    const { id: requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ message: "Invalid friend request id" });
+    }
+
+    await FriendRequest.expireStale(req.user._id);
+
+    const friendRequest = await FriendRequest.findById(requestId);
+
+    if (!friendRequest) {
+      return res.status(404).json({ message: "Friend request not found" });
+    }
+
+    // Verify the current user is the sender
+    if (friendRequest.sender.toString() !== req.user.id) {
+      return res.status(403).json({ message: "You are not authorized to cancel this request" });
+    }
+
+    if (friendRequest.status !== "pending") {
+      return res.status(400).json({ message: "This friend request is no longer pending" });
+    }
+
+    friendRequest.status = "cancelled";
+    friendRequest.respondedAt = new Date();
+    await friendRequest.save();
+
+    res.status(200).json({ message: "Friend request cancelled" });
+  } catch (error) {
+    console.log("Error in cancelFriendRequest controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
 export async function getFriendRequests(req, res) {
   try {
+    await FriendRequest.expireStale(req.user._id);
+
     const incomingReqs = await FriendRequest.find({
       recipient: req.user.id,
       status: "pending",
@@ -135,6 +420,8 @@ export async function getFriendRequests(req, res) {
 
 export async function getOutgoingFriendReqs(req, res) {
   try {
+    await FriendRequest.expireStale(req.user._id);
+
     const outgoingRequests = await FriendRequest.find({
       sender: req.user.id,
       status: "pending",
@@ -146,3 +433,96 @@ export async function getOutgoingFriendReqs(req, res) {
     res.status(500).json({ message: "Internal Server Error" });
   }
 }
+
+export async function removeFriend(req, res) {
+  try {
+    const myId = req.user.id;
+    const { id: friendId } = req.params;
+
+    if (!req.user.friends.some((id) => id.toString() === friendId)) {
+      return res.status(400).json({ message: "This user is not in your friends list" });
+    }
+
+    await User.findByIdAndUpdate(myId, { $pull: { friends: friendId } });
+    await User.findByIdAndUpdate(friendId, { $pull: { friends: myId } });
+
+    res.status(200).json({ message: "Friend removed" });
+  } catch (error) {
+    console.log("Error in removeFriend controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function blockUser(req, res) {
+  try {
+    const myId = req.user.id;
+    const { id: userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    if (myId === userId) {
+      return res.status(400).json({ message: "You can't block yourself" });
+    }
+
+    const userToBlock = await User.findById(userId);
+    if (!userToBlock) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // blocking also ends the friendship in both directions
+    await User.findByIdAndUpdate(myId, {
+      $addToSet: { blockedUsers: userId },
+      $pull: { friends: userId },
+    });
+    await User.findByIdAndUpdate(userId, { $pull: { friends: myId } });
+
+    // and drops any pending requests between the two users
+    await FriendRequest.updateMany(
+      {
+        $or: [
+          { sender: myId, recipient: userId },
+          { sender: userId, recipient: myId },
+        ],
+        status: "pending",
+      },
+      { status: "cancelled", respondedAt: new Date() }
+    );
+
+    res.status(200).json({ message: "User blocked" });
+  } catch (error) {
+    console.log("Error in blockUser controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function unblockUser(req, res) {
+  try {
+    const { id: userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    await User.findByIdAndUpdate(req.user.id, { $pull: { blockedUsers: userId } });
+
+    res.status(200).json({ message: "User unblocked" });
+  } catch (error) {
+    console.log("Error in unblockUser controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function getBlockedUsers(req, res) {
+  try {
+    const user = await User.findById(req.user.id)
+      .select("blockedUsers")
+      .populate("blockedUsers", "fullName profilePic");
+
+    res.status(200).json(user.blockedUsers);
+  } catch (error) {
+    console.log("Error in getBlockedUsers controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
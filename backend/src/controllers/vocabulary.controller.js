@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import VocabularyItem from "../models/VocabularyItem.js";
+import { isValidGrade, scheduleReview } from "../lib/srs.js";
+import {
+  MAX_REVIEW_BATCH_SIZE,
+  MAX_VOCABULARY_PAGE_SIZE,
+  parseVocabularyInput,
+  resolveVocabularySource,
+  serializeVocabularyItem,
+} from "../lib/vocabulary.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// My notebook, newest first, optionally searched and filtered by tag
+export async function getVocabulary(req, res) {
+  try {
+    const { search, tag, before, limit } = req.query;
+    const filter = { user: req.user._id };
+
+    if (search && String(search).trim()) {
+      const searchRegex = new RegExp(escapeRegex(String(search).trim()), "i");
+      filter.$or = [{ term: searchRegex }, { translation: searchRegex }, { notes: searchRegex }];
+    }
+    if (tag) {
+      filter.tags = String(tag).toLowerCase();
+    }
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 30, 1),
+      MAX_VOCABULARY_PAGE_SIZE
+    );
+
+    const items = await VocabularyItem.find(filter)
+      .populate("source.partner", "fullName")
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = items.length > pageSize;
+    const page = items.slice(0, pageSize);
+
+    res.status(200).json({
+      items: page.map(serializeVocabularyItem),
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1].createdAt : null,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in getVocabulary controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Every tag in my notebook with how many items use it
+export async function getVocabularyTags(req, res) {
+  try {
+    const tags = await VocabularyItem.aggregate([
+      { $match: { user: req.user._id } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.status(200).json(tags.map(({ _id, count }) => ({ tag: _id, count })));
+  } catch (error) {
+    console.log("Error in getVocabularyTags controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function createVocabularyItem(req, res) {
+  try {
+    const values = parseVocabularyInput(req.body);
+    const source = await resolveVocabularySource(req.body.source, req.user._id);
+
+    // the same term saved twice for one language pair would just be clutter
+    const existing = await VocabularyItem.findOne({
+      user: req.user._id,
+      term: new RegExp(`^${escapeRegex(values.term)}$`, "i"),
+      toLanguage: values.toLanguage,
+    });
+    if (existing) {
+      return res.status(409).json({ message: "This is already in your notebook" });
+    }
+
+    const item = await VocabularyItem.create({ ...values, user: req.user._id, source });
+    await item.populate("source.partner", "fullName");
+
+    res.status(201).json(serializeVocabularyItem(item));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in createVocabularyItem controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function updateVocabularyItem(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Vocabulary item not found" });
+    }
+
+    const values = parseVocabularyInput(req.body, { partial: true });
+
+    const item = await VocabularyItem.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      values,
+      { new: true }
+    ).populate("source.partner", "fullName");
+
+    if (!item) {
+      return res.status(404).json({ message: "Vocabulary item not found" });
+    }
+
+    res.status(200).json(serializeVocabularyItem(item));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in updateVocabularyItem controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+export async function deleteVocabularyItem(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Vocabulary item not found" });
+    }
+
+    const item = await VocabularyItem.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!item) {
+      return res.status(404).json({ message: "Vocabulary item not found" });
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in deleteVocabularyItem controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Cards due for review, most overdue first; items without a meaning have no back side
+export async function getReviewCards(req, res) {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      MAX_REVIEW_BATCH_SIZE
+    );
+    const filter = {
+      user: req.user._id,
+      translation: { $ne: "" },
+      // items saved before reviews existed have no schedule yet
+      $or: [{ "review.dueAt": { $lte: new Date() } }, { "review.dueAt": { $exists: false } }],
+    };
+
+    const [cards, dueCount] = await Promise.all([
+      VocabularyItem.find(filter)
+        .populate("source.partner", "fullName")
+        .sort({ "review.dueAt": 1 })
+        .limit(limit),
+      VocabularyItem.countDocuments(filter),
+    ]);
+
+    res.status(200).json({ cards: cards.map(serializeVocabularyItem), dueCount });
+  } catch (error) {
+    console.log("Error in getReviewCards controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
+
+// Grades one review (0-5) and schedules the next
+export async function reviewVocabularyItem(req, res) {
+  try {
+    const { grade } = req.body;
+
+    if (!isValidGrade(grade)) {
+      return res.status(400).json({ message: "Grade must be a whole number from 0 to 5" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Vocabulary item not found" });
+    }
+
+    const item = await VocabularyItem.findOne({ _id: req.params.id, user: req.user._id });
+    if (!item) {
+      return res.status(404).json({ message: "Vocabulary item not found" });
+    }
+
+    item.review = scheduleReview(item.review, grade);
+    await item.save();
+    await item.populate("source.partner", "fullName");
+
+    res.status(200).json(serializeVocabularyItem(item));
+  } catch (error) {
+    console.log("Error in reviewVocabularyItem controller:", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+}
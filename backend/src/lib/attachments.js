@@ -0,0 +1,66 @@
+import Attachment from "../models/Attachment.js";
+import Message from "../models/Message.js";
+import storage from "./storage/index.js";
+
+// Uploads that no message references within this window are deleted
+export const UNATTACHED_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const CLEANUP_BATCH_SIZE = 200;
+
+export const getUnattachedExpiry = () => new Date(Date.now() + UNATTACHED_TTL_MS);
+
+export const removeAttachmentFiles = async ({ storageKey, thumbnailKey }) => {
+  await storage.remove(storageKey);
+  if (thumbnailKey) await storage.remove(thumbnailKey);
+};
+
+// Deletes an attachment and its files once the message that shared it is deleted
+export const removeAttachment = async (attachmentId) => {
+  const attachment = await Attachment.findByIdAndDelete(attachmentId);
+  if (attachment) await removeAttachmentFiles(attachment);
+};
+
+// Removes expired uploads and their files, returning how many went
+export const removeUnattachedAttachments = async () => {
+  const now = new Date();
+
+  const expired = await Attachment.find({ unattachedUntil: { $lte: now } })
+    .select("storageKey thumbnailKey")
+    .limit(CLEANUP_BATCH_SIZE);
+  if (expired.length === 0) return 0;
+
+  // a message may reference one without having claimed it (sent before expiry existed)
+  const referencedIds = await Message.distinct("attachment", {
+    attachment: { $in: expired.map((attachment) => attachment._id) },
+  });
+  const referenced = new Set(referencedIds.map((id) => id.toString()));
+  await Attachment.updateMany({ _id: { $in: referencedIds } }, { unattachedUntil: null });
+
+  let removed = 0;
+  for (const attachment of expired) {
+    if (referenced.has(attachment._id.toString())) continue;
+
+    // re-checks the expiry so an upload claimed by a message meanwhile survives
+    const { deletedCount } = await Attachment.deleteOne({
+      _id: attachment._id,
+      unattachedUntil: { $lte: now },
+    });
+    if (deletedCount === 0) continue;
+
+    await removeAttachmentFiles(attachment);
+    removed++;
+  }
+
+  return removed;
+};
+
+export const startAttachmentCleanup = () => {
+  const cleanup = () =>
+    removeUnattachedAttachments()
+      .then((removed) => {
+        if (removed > 0) console.log(`Removed ${removed} unattached uploads`);
+      })
+      .catch((error) => console.log("Error removing unattached uploads:", error.message));
+
+  setInterval(cleanup, CLEANUP_INTERVAL_MS).unref();
+};
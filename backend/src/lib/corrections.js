@@ -0,0 +1,58 @@
+import Correction from "../models/Correction.js";
+
+export const MAX_CORRECTION_LENGTH = 2000;
+export const MAX_EXPLANATION_LENGTH = 500;
+export const MAX_CORRECTIONS_PAGE_SIZE = 50;
+
+// Shape sent to clients (expects author to be populated)
+export const serializeCorrection = (correction) => ({
+  _id: correction._id,
+  messageId: correction.message?._id || correction.message,
+  conversationId: correction.conversationId,
+  // the author's account may have been deleted since
+  authorId: correction.author?._id ?? null,
+  authorName: correction.author?.fullName ?? null,
+  authorPic: correction.author?.profilePic ?? null,
+  recipientId: correction.recipient?._id || correction.recipient,
+  originalText: correction.originalText,
+  correctedText: correction.correctedText,
+  explanation: correction.explanation,
+  createdAt: correction.createdAt,
+});
+
+// Corrections for a set of messages, grouped by message id, oldest first
+export const getCorrectionsByMessage = async (messageIds) => {
+  const corrections = await Correction.find({ message: { $in: messageIds } })
+    .populate("author", "fullName profilePic")
+    .sort({ createdAt: 1 });
+
+  return corrections.reduce((byMessage, correction) => {
+    const key = correction.message.toString();
+    (byMessage[key] = byMessage[key] || []).push(serializeCorrection(correction));
+    return byMessage;
+  }, {});
+};
+
+// Checks a proposed correction and returns the trimmed values, throwing a 400 otherwise
+export const validateCorrection = ({ originalText, correctedText, explanation = "" }) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  if (typeof correctedText !== "string" || !correctedText.trim()) {
+    fail("Corrected text is required");
+  }
+  if (correctedText.length > MAX_CORRECTION_LENGTH) {
+    fail(`Corrected text must be at most ${MAX_CORRECTION_LENGTH} characters`);
+  }
+  if (typeof explanation !== "string" || explanation.length > MAX_EXPLANATION_LENGTH) {
+    fail(`Explanation must be at most ${MAX_EXPLANATION_LENGTH} characters`);
+  }
+  if (correctedText.trim() === originalText.trim()) {
+    fail("The correction is the same as the original message");
+  }
+
+  return { correctedText: correctedText.trim(), explanation: explanation.trim() };
+};
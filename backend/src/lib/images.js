@@ -0,0 +1,34 @@
+import sharp from "sharp";
+
+const THUMBNAIL_SIZE = 320; // px, longest edge
+
+// Formats accepted as images, with the content type they are served as.
+// Anything else (svg in particular) is rejected rather than served inline.
+export const IMAGE_MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+// Reads the real format and dimensions and renders a small webp preview
+export const createThumbnail = async (buffer) => {
+  const { format, width, height, orientation } = await sharp(buffer).metadata();
+
+  // rotate() applies the EXIF orientation so phone photos aren't sideways
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+  // EXIF orientations 5-8 swap width and height once rotated
+  const isRotated = orientation >= 5;
+
+  return {
+    format,
+    width: isRotated ? height : width,
+    height: isRotated ? width : height,
+    thumbnail,
+  };
+};
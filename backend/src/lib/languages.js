@@ -0,0 +1,33 @@
+// Canonical list of supported languages, shared with the frontend via GET /api/languages.
+// Add a language here and it becomes selectable, translatable and detectable everywhere.
+//
+//   id          value stored on users (nativeLanguage / learningLanguage)
+//   code        ISO 639-1, used for translation and detection results
+//   iso639_3    ISO 639-3, used by the offline language detector
+//   locale      BCP-47 locale for speech recognition and synthesis
+//   countryCode ISO 3166-1 alpha-2 of the flag shown next to the language
+export const LANGUAGES = [
+  { id: "english", code: "en", iso639_3: "eng", locale: "en-US", name: "English", nativeName: "English", countryCode: "gb", flag: "🇬🇧", rtl: false },
+  { id: "spanish", code: "es", iso639_3: "spa", locale: "es-ES", name: "Spanish", nativeName: "Español", countryCode: "es", flag: "🇪🇸", rtl: false },
+  { id: "french", code: "fr", iso639_3: "fra", locale: "fr-FR", name: "French", nativeName: "Français", countryCode: "fr", flag: "🇫🇷", rtl: false },
+  { id: "german", code: "de", iso639_3: "deu", locale: "de-DE", name: "German", nativeName: "Deutsch", countryCode: "de", flag: "🇩🇪", rtl: false },
+  { id: "mandarin", code: "zh", iso639_3: "cmn", locale: "zh-CN", name: "Mandarin", nativeName: "中文", countryCode: "cn", flag: "🇨🇳", rtl: false },
+  { id: "japanese", code: "ja", iso639_3: "jpn", locale: "ja-JP", name: "Japanese", nativeName: "日本語", countryCode: "jp", flag: "🇯🇵", rtl: false },
+  { id: "korean", code: "ko", iso639_3: "kor", locale: "ko-KR", name: "Korean", nativeName: "한국어", countryCode: "kr", flag: "🇰🇷", rtl: false },
+  { id: "hindi", code: "hi", iso639_3: "hin", locale: "hi-IN", name: "Hindi", nativeName: "हिन्दी", countryCode: "in", flag: "🇮🇳", rtl: false },
+  { id: "russian", code: "ru", iso639_3: "rus", locale: "ru-RU", name: "Russian", nativeName: "Русский", countryCode: "ru", flag: "🇷🇺", rtl: false },
+  { id: "portuguese", code: "pt", iso639_3: "por", locale: "pt-BR", name: "Portuguese", nativeName: "Português", countryCode: "pt", flag: "🇵🇹", rtl: false },
+  { id: "arabic", code: "ar", iso639_3: "arb", locale: "ar-SA", name: "Arabic", nativeName: "العربية", countryCode: "sa", flag: "🇸🇦", rtl: true },
+  { id: "italian", code: "it", iso639_3: "ita", locale: "it-IT", name: "Italian", nativeName: "Italiano", countryCode: "it", flag: "🇮🇹", rtl: false },
+  { id: "turkish", code: "tr", iso639_3: "tur", locale: "tr-TR", name: "Turkish", nativeName: "Türkçe", countryCode: "tr", flag: "🇹🇷", rtl: false },
+  { id: "dutch", code: "nl", iso639_3: "nld", locale: "nl-NL", name: "Dutch", nativeName: "Nederlands", countryCode: "nl", flag: "🇳🇱", rtl: false },
+];
+
+const languagesById = new Map(LANGUAGES.map((language) => [language.id, language]));
+
+export const isSupportedLanguage = (id) => languagesById.has(id?.toLowerCase());
+
+export const getLanguage = (id) => languagesById.get(id?.toLowerCase()) || null;
+
+// Translation code for a language stored on a user profile
+export const getLanguageCode = (id) => getLanguage(id)?.code || null;
@@ -0,0 +1,115 @@
+// Scores how good a language exchange partner `candidate` is for `user`.
+// Higher is better; language fit dominates, proximity and activity break ties.
+const WEIGHTS = {
+  reciprocal: 100, // they speak what I learn and learn what I speak
+  theyTeachMe: 60, // they speak what I learn
+  iTeachThem: 40, // they learn what I speak
+  sameLearning: 10, // study buddies learning the same language
+  sameCountry: 15,
+  sameCity: 10,
+  timezone: 15, // max, decays with the utc offset difference
+  activity: 10, // max, decays with time since last activity
+  online: 10,
+};
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase();
+
+// "Lisbon, Portugal" -> { city: "lisbon", country: "portugal" }
+export const parseLocation = (location) => {
+  const parts = normalize(location)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  return {
+    city: parts.length > 1 ? parts[0] : "",
+    country: parts.length > 0 ? parts[parts.length - 1] : "",
+  };
+};
+
+export const getUtcOffsetMinutes = (timeZone, date = new Date()) => {
+  if (!timeZone) return null;
+
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      timeZoneName: "longOffset",
+    }).formatToParts(date);
+    const offset = parts.find((part) => part.type === "timeZoneName")?.value;
+
+    if (offset === "GMT") return 0;
+
+    const match = /^GMT([+-])(\d{2}):(\d{2})$/.exec(offset || "");
+    if (!match) return null;
+
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === "-" ? -minutes : minutes;
+  } catch {
+    return null; // unknown time zone
+  }
+};
+
+const getLanguageMatch = (user, candidate) => {
+  const myNative = normalize(user.nativeLanguage);
+  const myLearning = normalize(user.learningLanguage);
+  const theirNative = normalize(candidate.nativeLanguage);
+  const theirLearning = normalize(candidate.learningLanguage);
+
+  const theyTeachMe = Boolean(myLearning) && theirNative === myLearning;
+  const iTeachThem = Boolean(myNative) && theirLearning === myNative;
+
+  if (theyTeachMe && iTeachThem) return { type: "reciprocal", score: WEIGHTS.reciprocal };
+  if (theyTeachMe) return { type: "partial", score: WEIGHTS.theyTeachMe };
+  if (iTeachThem) return { type: "partial", score: WEIGHTS.iTeachThem };
+  if (myLearning && theirLearning === myLearning) {
+    return { type: "same-learning", score: WEIGHTS.sameLearning };
+  }
+  return { type: "none", score: 0 };
+};
+
+const getProximityScore = (user, candidate) => {
+  let score = 0;
+
+  const mine = parseLocation(user.location);
+  const theirs = parseLocation(candidate.location);
+
+  if (mine.country && mine.country === theirs.country) {
+    score += WEIGHTS.sameCountry;
+    if (mine.city && mine.city === theirs.city) score += WEIGHTS.sameCity;
+  }
+
+  const myOffset = getUtcOffsetMinutes(user.timezone);
+  const theirOffset = getUtcOffsetMinutes(candidate.timezone);
+
+  if (myOffset !== null && theirOffset !== null) {
+    const hoursApart = Math.abs(myOffset - theirOffset) / 60;
+    score += Math.max(0, WEIGHTS.timezone - hoursApart * 2.5);
+  }
+
+  return score;
+};
+
+const getActivityScore = (candidate, now) => {
+  const lastActiveAt = candidate.lastSeenAt || candidate.updatedAt;
+  const lastActive = lastActiveAt ? new Date(lastActiveAt).getTime() : 0;
+  const daysInactive = (now - lastActive) / DAY_IN_MS;
+
+  if (daysInactive <= 1) return WEIGHTS.activity;
+  if (daysInactive <= 7) return WEIGHTS.activity * 0.6;
+  if (daysInactive <= 30) return WEIGHTS.activity * 0.3;
+  return 0;
+};
+
+export const scoreCandidate = (user, candidate, { isOnline = false, now = Date.now() } = {}) => {
+  const languageMatch = getLanguageMatch(user, candidate);
+
+  const score =
+    languageMatch.score +
+    getProximityScore(user, candidate) +
+    getActivityScore(candidate, now) +
+    (isOnline ? WEIGHTS.online : 0);
+
+  return { matchScore: Math.round(score), matchType: languageMatch.type };
+};
@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { getCorrectionsByMessage } from "./corrections.js";
+
+export const MAX_HISTORY_PAGE_SIZE = 100;
+export const MAX_CONVERSATIONS_PAGE_SIZE = 50;
+export const SYNC_PAGE_SIZE = 200;
+export const MAX_CLIENT_ID_LENGTH = 64;
+
+// attachment fields the chat needs to render a message without another request
+export const ATTACHMENT_PREVIEW_FIELDS = "width height thumbnailKey duration waveform";
+
+// Conversation ids are the two participant ids in a stable order
+export const getConversationId = (userId, otherUserId) =>
+  [userId.toString(), otherUserId.toString()].sort().join("-");
+
+export const isConversationParticipant = (conversationId, userId) =>
+  conversationId.split("-").includes(userId.toString());
+
+// Shape sent to clients for history pages (expects senderId to be populated)
+export const serializeMessage = (msg) => ({
+  _id: msg._id,
+  clientId: msg.clientId || null,
+  message: msg.text,
+  senderId: msg.senderId._id,
+  senderName: msg.senderId.fullName,
+  senderPic: msg.senderId.profilePic,
+  timestamp: msg.createdAt,
+  conversationId: msg.conversationId,
+  messageType: msg.messageType,
+  // deleted messages no longer expose their file
+  attachmentId: msg.isDeleted ? null : msg.attachment?._id || msg.attachment || null,
+  // image dimensions, present when the attachment is populated
+  width: msg.attachment?.width || null,
+  height: msg.attachment?.height || null,
+  hasThumbnail: Boolean(msg.attachment?.thumbnailKey),
+  // voice note metadata
+  duration: msg.attachment?.duration || null,
+  waveform: msg.attachment?.waveform || [],
+  fileUrl: msg.fileUrl, // legacy inline data urls from before attachments were stored on disk
+  fileName: msg.fileName,
+  fileSize: msg.fileSize,
+  replyTo: msg.replyTo?._id || msg.replyTo,
+  reactions: msg.reactions || [],
+  // deleted messages no longer expose anything derived from their text
+  translations: msg.isDeleted ? [] : msg.translations || [],
+  detectedLanguage: msg.isDeleted ? null : msg.detectedLanguage || null,
+  isEdited: msg.isEdited || false,
+  editedAt: msg.editedAt,
+  isDeleted: msg.isDeleted || false,
+  deletedAt: msg.deletedAt,
+  status: msg.status,
+  deliveredAt: msg.deliveredAt,
+  readAt: msg.readAt,
+  // clients keep the newest one they've seen as their sync cursor
+  updatedAt: msg.updatedAt,
+});
+
+// Turns a `before` cursor (message id or timestamp) into a createdAt filter
+const getCursorFilter = async (conversationId, before) => {
+  if (!before) return {};
+
+  if (mongoose.Types.ObjectId.isValid(before)) {
+    const cursorMessage = await Message.findOne({ _id: before, conversationId }).select(
+      "createdAt"
+    );
+
+    if (cursorMessage) {
+      // tie-break on _id so messages sharing a timestamp aren't skipped
+      return {
+        $or: [
+          { createdAt: { $lt: cursorMessage.createdAt } },
+          { createdAt: cursorMessage.createdAt, _id: { $lt: cursorMessage._id } },
+        ],
+      };
+    }
+  }
+
+  const beforeDate = new Date(before);
+  if (Number.isNaN(beforeDate.getTime())) {
+    const error = new Error("Invalid history cursor");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { createdAt: { $lt: beforeDate } };
+};
+
+// Loads one page of a conversation, newest first in the query and oldest
+// first in the result, plus whether older messages remain
+export const getMessagePage = async ({ conversationId, before, limit = 50, filter = {} }) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY_PAGE_SIZE);
+  const cursorFilter = await getCursorFilter(conversationId, before);
+
+  const messages = await Message.find({ $and: [{ conversationId }, cursorFilter, filter] })
+    .populate("senderId", "fullName profilePic")
+    .populate("attachment", ATTACHMENT_PREVIEW_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize).reverse();
+  const correctionsByMessage = await getCorrectionsByMessage(page.map((msg) => msg._id));
+
+  return {
+    messages: page.map((msg) => ({
+      ...serializeMessage(msg),
+      corrections: correctionsByMessage[msg._id.toString()] || [],
+    })),
+    hasMore,
+    nextCursor: hasMore && page.length > 0 ? page[0]._id : null,
+  };
+};
+
+const parseSyncDate = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    const error = new Error("Invalid sync timestamp");
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+};
+
+// Every message in the user's conversations that changed after `since`, oldest
+// change first. Edits, deletes, reactions, receipts, translations and new
+// corrections all bump updatedAt, so a message's current state (with its
+// corrections) covers whatever happened to it. `after` breaks ties between
+// messages changed in the same bulk update.
+export const getMessageChangesSince = async ({ userId, since, after }) => {
+  const syncedAt = new Date();
+  const sinceDate = parseSyncDate(since);
+
+  const changedFilter =
+    after && mongoose.Types.ObjectId.isValid(after)
+      ? {
+          $or: [
+            { updatedAt: { $gt: sinceDate } },
+            { updatedAt: sinceDate, _id: { $gt: after } },
+          ],
+        }
+      : { updatedAt: { $gt: sinceDate } };
+
+  const messages = await Message.find({
+    $and: [{ $or: [{ senderId: userId }, { receiverId: userId }] }, changedFilter],
+  })
+    .populate("senderId", "fullName profilePic")
+    .populate("attachment", ATTACHMENT_PREVIEW_FIELDS)
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(SYNC_PAGE_SIZE + 1);
+
+  const hasMore = messages.length > SYNC_PAGE_SIZE;
+  const page = messages.slice(0, SYNC_PAGE_SIZE);
+  const correctionsByMessage = await getCorrectionsByMessage(page.map((msg) => msg._id));
+  const last = page[page.length - 1];
+
+  return {
+    messages: page.map((msg) => ({
+      ...serializeMessage(msg),
+      corrections: correctionsByMessage[msg._id.toString()] || [],
+    })),
+    hasMore,
+    nextCursor: hasMore ? { since: last.updatedAt, after: last._id } : null,
+    // only meaningful once the last page is in
+    syncedAt: hasMore ? null : syncedAt,
+  };
+};
@@ -0,0 +1,51 @@
+import "dotenv/config";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { connectRedis } from "../redis.js";
+import { createMemoryPresence } from "./memoryPresence.js";
+import { createRedisPresence } from "./redisPresence.js";
+
+// Presence backends track which users have sockets open, across all server processes.
+// A user is "online" if any socket is, "away" if all of them are, "offline" without any.
+//   addSocket(userId, socketId) -> Promise<{ previousStatus, status }>
+//   removeSocket(userId, socketId) -> Promise<{ previousStatus, status }>
+//   setSocketStatus(userId, socketId, "online" | "away") -> Promise<{ previousStatus, status }>
+//   getStatuses(userIds) -> Promise<{ [userId]: status }>
+//   getOnlineUserIds() -> Promise<string[]> (online or away)
+//   sweepExpired() -> Promise<{ userId, lastActiveAt }[]> users whose sockets all
+//     vanished with a crashed process, each returned by one process only
+// Pick one with PRESENCE_DRIVER. "redis" also routes Socket.io events between processes,
+// so run it whenever there is more than one backend instance.
+const drivers = {
+  memory: async () => ({ presence: createMemoryPresence(), socketAdapter: null }),
+  redis: async () => {
+    const [client, pubClient, subClient] = await Promise.all([
+      connectRedis(),
+      connectRedis(),
+      connectRedis(),
+    ]);
+
+    return {
+      presence: createRedisPresence({
+        client,
+        ttlMs: parseInt(process.env.PRESENCE_TTL_MS, 10) || 90 * 1000,
+      }),
+      socketAdapter: createAdapter(pubClient, subClient),
+    };
+  },
+};
+
+const driverName = process.env.PRESENCE_DRIVER || "memory";
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown PRESENCE_DRIVER "${driverName}"`);
+}
+
+const { presence, socketAdapter } = await drivers[driverName]();
+
+// Every socket of a user joins this room, so events reach all of their devices
+export const getUserRoom = (userId) => `user:${userId}`;
+
+// Socket.io adapter for the driver, null means the default in-process one
+export { socketAdapter };
+
+export default presence;
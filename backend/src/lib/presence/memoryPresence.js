@@ -0,0 +1,51 @@
+// Presence for a single server process, everything lives in this Map
+export const createMemoryPresence = () => {
+  const socketsByUser = new Map(); // userId -> Map of socket id -> "online" | "away"
+
+  const getStatus = (userId) => {
+    const sockets = socketsByUser.get(userId);
+    if (!sockets) return "offline";
+    return Array.from(sockets.values()).includes("online") ? "online" : "away";
+  };
+
+  // Applies a change to one user's sockets and reports their status before and after
+  const update = (userId, change) => {
+    const previousStatus = getStatus(userId);
+    const sockets = socketsByUser.get(userId) || new Map();
+
+    change(sockets);
+    if (sockets.size === 0) socketsByUser.delete(userId);
+    else socketsByUser.set(userId, sockets);
+
+    return { previousStatus, status: getStatus(userId) };
+  };
+
+  return {
+    async addSocket(userId, socketId) {
+      return update(userId, (sockets) => sockets.set(socketId, "online"));
+    },
+
+    async removeSocket(userId, socketId) {
+      return update(userId, (sockets) => sockets.delete(socketId));
+    },
+
+    async setSocketStatus(userId, socketId, socketStatus) {
+      return update(userId, (sockets) => {
+        if (sockets.has(socketId)) sockets.set(socketId, socketStatus);
+      });
+    },
+
+    async getStatuses(userIds) {
+      return Object.fromEntries(userIds.map((userId) => [userId, getStatus(userId)]));
+    },
+
+    async getOnlineUserIds() {
+      return Array.from(socketsByUser.keys());
+    },
+
+    // sockets die with this process, so none can be left behind
+    async sweepExpired() {
+      return [];
+    },
+  };
+};
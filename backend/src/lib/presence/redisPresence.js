@@ -0,0 +1,141 @@
+// Presence shared by every server process through Redis.
+// Each user has a sorted set of socket ids scored by their last heartbeat and a
+// set of the ones that are away; presence:online scores users the same way.
+// Sockets of a process that died without cleaning up stop being refreshed and
+// age out after `ttlMs`; sweepExpired() then reports users left with none.
+const ONLINE_KEY = "presence:online";
+
+const getUserKey = (userId) => `presence:user:${userId}`;
+const getAwayKey = (userId) => `presence:away:${userId}`;
+
+const toStatus = (liveSocketIds, awaySocketIds) => {
+  if (liveSocketIds.length === 0) return "offline";
+  return liveSocketIds.every((socketId) => awaySocketIds.includes(socketId)) ? "away" : "online";
+};
+
+export const createRedisPresence = ({ client, ttlMs }) => {
+  const localSockets = new Map(); // socketId -> userId, the sockets this process refreshes
+
+  const refresh = async () => {
+    if (localSockets.size === 0) return;
+
+    const now = Date.now();
+    const transaction = client.multi();
+    localSockets.forEach((userId, socketId) => {
+      transaction.zAdd(getUserKey(userId), { score: now, value: socketId });
+      transaction.zAdd(ONLINE_KEY, { score: now, value: userId });
+      // away markers of crashed processes go with the last live socket of the user
+      transaction.pExpire(getAwayKey(userId), ttlMs);
+    });
+    await transaction.exec();
+  };
+
+  setInterval(() => {
+    refresh().catch((error) => console.log("Error refreshing presence:", error.message));
+  }, ttlMs / 3).unref();
+
+  // Queues reads of a user's live and away sockets onto a transaction
+  const readSockets = (transaction, userId) =>
+    transaction
+      .zRange(getUserKey(userId), Date.now() - ttlMs, "+inf", { BY: "SCORE" })
+      .sMembers(getAwayKey(userId));
+
+  // Runs `write` between two reads so the status before and after come from one transaction
+  const update = async (userId, write) => {
+    const transaction = readSockets(client.multi(), userId);
+    write(transaction);
+    const replies = await readSockets(transaction, userId).exec();
+
+    const [liveBefore, awayBefore] = replies;
+    const [liveAfter, awayAfter] = replies.slice(-2);
+    const status = toStatus(liveAfter, awayAfter);
+
+    if (status === "offline") {
+      await client.zRem(ONLINE_KEY, userId);
+    }
+
+    return { previousStatus: toStatus(liveBefore, awayBefore), status };
+  };
+
+  return {
+    async addSocket(userId, socketId) {
+      localSockets.set(socketId, userId);
+      const now = Date.now();
+
+      return update(userId, (transaction) =>
+        transaction
+          .zRemRangeByScore(getUserKey(userId), 0, now - ttlMs)
+          .zAdd(getUserKey(userId), { score: now, value: socketId })
+          .zAdd(ONLINE_KEY, { score: now, value: userId })
+      );
+    },
+
+    async removeSocket(userId, socketId) {
+      localSockets.delete(socketId);
+
+      return update(userId, (transaction) =>
+        transaction.zRem(getUserKey(userId), socketId).sRem(getAwayKey(userId), socketId)
+      );
+    },
+
+    async setSocketStatus(userId, socketId, socketStatus) {
+      if (!localSockets.has(socketId)) return update(userId, () => {});
+
+      return update(userId, (transaction) =>
+        socketStatus === "away"
+          ? transaction.sAdd(getAwayKey(userId), socketId).pExpire(getAwayKey(userId), ttlMs)
+          : transaction.sRem(getAwayKey(userId), socketId)
+      );
+    },
+
+    async getStatuses(userIds) {
+      if (userIds.length === 0) return {};
+
+      const transaction = client.multi();
+      userIds.forEach((userId) => readSockets(transaction, userId));
+      const replies = await transaction.exec();
+
+      return Object.fromEntries(
+        userIds.map((userId, index) => [
+          userId,
+          toStatus(replies[index * 2], replies[index * 2 + 1]),
+        ])
+      );
+    },
+
+    async getOnlineUserIds() {
+      return client.zRange(ONLINE_KEY, Date.now() - ttlMs, "+inf", { BY: "SCORE" });
+    },
+
+    // Users whose every socket stopped being refreshed, with their last heartbeat.
+    // Every process sweeps, but only the one whose removal from presence:online
+    // succeeds reports a user, so friends hear about it once.
+    async sweepExpired() {
+      const cutoff = Date.now() - ttlMs;
+      const stale = await client.zRangeWithScores(ONLINE_KEY, 0, cutoff, { BY: "SCORE" });
+      const expired = [];
+
+      for (const { value: userId, score } of stale) {
+        if ((await client.zRem(ONLINE_KEY, userId)) === 0) continue;
+
+        // reconnected somewhere between the range read and the removal
+        const [liveSocketIds] = await readSockets(client.multi(), userId).exec();
+        if (liveSocketIds.length > 0) {
+          await client.zAdd(ONLINE_KEY, { score: Date.now(), value: userId });
+          continue;
+        }
+
+        const staleSocketIds = await client.zRange(getUserKey(userId), 0, cutoff, {
+          BY: "SCORE",
+        });
+        const transaction = client.multi().zRemRangeByScore(getUserKey(userId), 0, cutoff);
+        if (staleSocketIds.length > 0) transaction.sRem(getAwayKey(userId), staleSocketIds);
+        await transaction.exec();
+
+        expired.push({ userId, lastActiveAt: new Date(score) });
+      }
+
+      return expired;
+    },
+  };
+};
@@ -0,0 +1,66 @@
+import User from "../../models/User.js";
+import presence from "./index.js";
+
+export const SOCKET_STATUSES = ["online", "away"];
+
+// Keeps lastSeenAt current whenever a user comes online or their last device leaves
+const touchLastSeen = (userId, lastSeenAt) => User.updateOne({ _id: userId }, { lastSeenAt });
+
+// Each returns the change in the user's overall status, `changed` is false when
+// another device kept it the same (e.g. a second tab opening)
+const withChange = async (userId, change, lastSeenAt = new Date()) => {
+  const { previousStatus, status } = await change;
+
+  if (previousStatus === "offline" || status === "offline") {
+    await touchLastSeen(userId, lastSeenAt);
+  }
+
+  return { userId, status, lastSeenAt, changed: previousStatus !== status };
+};
+
+export const connectSocket = (userId, socketId) =>
+  withChange(userId, presence.addSocket(userId, socketId));
+
+export const disconnectSocket = (userId, socketId) =>
+  withChange(userId, presence.removeSocket(userId, socketId));
+
+export const setSocketStatus = async (userId, socketId, status) => {
+  if (!SOCKET_STATUSES.includes(status)) {
+    const error = new Error("Status must be online or away");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return withChange(userId, presence.setSocketStatus(userId, socketId, status));
+};
+
+export const PRESENCE_SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Offline changes for users whose sockets died with another server process. They
+// were online or away as far as friends know; last seen is their final heartbeat.
+export const sweepExpiredPresence = async () => {
+  const expired = await presence.sweepExpired();
+
+  return Promise.all(
+    expired.map(({ userId, lastActiveAt }) =>
+      withChange(userId, { previousStatus: "online", status: "offline" }, lastActiveAt)
+    )
+  );
+};
+
+// Status and last seen for each of the given users, in the same order
+export const getPresence = async (userIds) => {
+  const ids = userIds.map((id) => id.toString());
+
+  const [statuses, users] = await Promise.all([
+    presence.getStatuses(ids),
+    User.find({ _id: { $in: ids } }).select("lastSeenAt"),
+  ]);
+  const lastSeenById = new Map(users.map((user) => [user._id.toString(), user.lastSeenAt]));
+
+  return ids.map((userId) => ({
+    userId,
+    status: statuses[userId] || "offline",
+    lastSeenAt: lastSeenById.get(userId) || null,
+  }));
+};
@@ -0,0 +1,12 @@
+import "dotenv/config";
+import { createClient } from "redis";
+
+export const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+
+// Opens a new connection; pub/sub needs its own, so callers don't share one
+export const connectRedis = async () => {
+  const client = createClient({ url: REDIS_URL });
+  client.on("error", (error) => console.log("Redis error:", error.message));
+  await client.connect();
+  return client;
+};
@@ -0,0 +1,43 @@
+// SM-2 spaced repetition: each review is graded 0-5 and pushes the next one further out
+// the better the answer. Grades below 3 count as forgotten and restart the card.
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+export const PASSING_GRADE = 3;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export const isValidGrade = (grade) => Number.isInteger(grade) && grade >= 0 && grade <= 5;
+
+// Returns the card's next review state; `review` is the current one (empty for new cards)
+export const scheduleReview = (review = {}, grade, now = new Date()) => {
+  const easeFactor = review.easeFactor || DEFAULT_EASE_FACTOR;
+  const repetitions = review.repetitions || 0;
+  const interval = review.interval || 0;
+
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  let nextRepetitions;
+  let nextInterval;
+
+  if (grade < PASSING_GRADE) {
+    nextRepetitions = 0;
+    nextInterval = 1;
+  } else {
+    nextRepetitions = repetitions + 1;
+    if (repetitions === 0) nextInterval = 1;
+    else if (repetitions === 1) nextInterval = 6;
+    else nextInterval = Math.round(interval * easeFactor);
+  }
+
+  return {
+    easeFactor: Math.round(nextEaseFactor * 100) / 100,
+    repetitions: nextRepetitions,
+    interval: nextInterval,
+    dueAt: new Date(now.getTime() + nextInterval * DAY_IN_MS),
+    lastReviewedAt: now,
+  };
+};
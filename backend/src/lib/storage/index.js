@@ -0,0 +1,25 @@
+import path from "path";
+import "dotenv/config";
+import { createLocalStorage } from "./localStorage.js";
+
+// Storage backends implement:
+//   save(key, buffer) -> Promise<key>
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise<void>
+// Pick one with STORAGE_DRIVER; an S3-compatible driver can be added here.
+const drivers = {
+  local: () =>
+    createLocalStorage({
+      root: process.env.UPLOADS_DIR || path.resolve("uploads"),
+    }),
+};
+
+const driverName = process.env.STORAGE_DRIVER || "local";
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+}
+
+const storage = drivers[driverName]();
+
+export default storage;
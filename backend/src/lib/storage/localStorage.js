@@ -0,0 +1,35 @@
+import fs from "fs";
+import path from "path";
+
+// Stores attachment blobs on the local filesystem under `root`
+export const createLocalStorage = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+
+    // keys come from us, but never let one escape the storage root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
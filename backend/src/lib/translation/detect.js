@@ -0,0 +1,23 @@
+import { francAll } from "franc";
+import { LANGUAGES } from "../languages.js";
+
+// franc speaks ISO 639-3, results are mapped back to registry codes
+const CODES_BY_ISO639_3 = new Map(LANGUAGES.map((language) => [language.iso639_3, language.code]));
+const CANDIDATES = [...CODES_BY_ISO639_3.keys()];
+
+// below this length trigram statistics are mostly noise
+const MIN_DETECTION_LENGTH = 10;
+
+// the runner-up must score clearly lower for the guess to count
+const MIN_SCORE_GAP = 0.05;
+
+// Offline n-gram language detection; returns a language code or null when unsure
+export const detectLanguage = (text) => {
+  if (typeof text !== "string" || text.trim().length < MIN_DETECTION_LENGTH) return null;
+
+  const [best, runnerUp] = francAll(text, { only: CANDIDATES, minLength: MIN_DETECTION_LENGTH });
+  if (!best || best[0] === "und") return null;
+  if (runnerUp && best[1] - runnerUp[1] < MIN_SCORE_GAP) return null;
+
+  return CODES_BY_ISO639_3.get(best[0]);
+};
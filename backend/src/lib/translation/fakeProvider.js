@@ -0,0 +1,8 @@
+// Deterministic provider for tests and offline development, never calls the network
+export const createFakeProvider = () => ({
+  name: "fake",
+
+  async translate({ text, from, to }) {
+    return `[${from}->${to}] ${text}`;
+  },
+});
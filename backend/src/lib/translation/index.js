@@ -0,0 +1,29 @@
+import "dotenv/config";
+import { createMyMemoryProvider } from "./myMemoryProvider.js";
+import { createLibreTranslateProvider } from "./libreTranslateProvider.js";
+import { createFakeProvider } from "./fakeProvider.js";
+
+// Translation providers implement:
+//   name
+//   translate({ text, from, to }) -> Promise<translatedText>
+//     `from` may be "auto" when the source language is unknown
+// Pick one with TRANSLATION_PROVIDER.
+const providers = {
+  mymemory: () => createMyMemoryProvider({ email: process.env.MYMEMORY_EMAIL }),
+  libretranslate: () =>
+    createLibreTranslateProvider({
+      url: process.env.LIBRETRANSLATE_URL,
+      apiKey: process.env.LIBRETRANSLATE_API_KEY,
+    }),
+  fake: () => createFakeProvider(),
+};
+
+const providerName = process.env.TRANSLATION_PROVIDER || "mymemory";
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown TRANSLATION_PROVIDER "${providerName}"`);
+}
+
+const translationProvider = providers[providerName]();
+
+export default translationProvider;
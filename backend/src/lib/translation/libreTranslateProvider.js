@@ -0,0 +1,34 @@
+// Works with the public instance or a self-hosted LibreTranslate server
+export const createLibreTranslateProvider = ({ url, apiKey }) => {
+  if (!url) {
+    throw new Error("LIBRETRANSLATE_URL is required for the libretranslate provider");
+  }
+
+  // LibreTranslate only knows base codes ("es", not "es-ES"), except Chinese variants
+  const toLibreCode = (code) => (code.startsWith("zh") ? code : code.split("-")[0]);
+
+  return {
+    name: "libretranslate",
+
+    async translate({ text, from, to }) {
+      const response = await fetch(`${url.replace(/\/$/, "")}/translate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          q: text,
+          source: toLibreCode(from),
+          target: toLibreCode(to),
+          format: "text",
+          ...(apiKey && { api_key: apiKey }),
+        }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.translatedText) {
+        throw new Error(`LibreTranslate error: ${data.error || response.status}`);
+      }
+
+      return data.translatedText;
+    },
+  };
+};
@@ -0,0 +1,34 @@
+const MYMEMORY_URL = "https://api.mymemory.translated.net/get";
+
+// MyMemory needs a script variant for Chinese and its own spelling of auto-detection
+const toMyMemoryCode = (code) => {
+  if (code === "auto") return "Autodetect";
+  if (code === "zh") return "zh-CN";
+  return code;
+};
+
+// Free public API; an email raises the anonymous daily limit
+export const createMyMemoryProvider = ({ email } = {}) => ({
+  name: "mymemory",
+
+  async translate({ text, from, to }) {
+    const params = new URLSearchParams({
+      q: text,
+      langpair: `${toMyMemoryCode(from)}|${toMyMemoryCode(to)}`,
+    });
+    if (email) params.set("de", email);
+
+    const response = await fetch(`${MYMEMORY_URL}?${params}`);
+    if (!response.ok) {
+      throw new Error(`MyMemory responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    // errors still come back as HTTP 200 with the real status in the body
+    if (Number(data.responseStatus) !== 200 || !data.responseData?.translatedText) {
+      throw new Error(`MyMemory error: ${data.responseDetails || data.responseStatus}`);
+    }
+
+    return data.responseData.translatedText;
+  },
+});
@@ -0,0 +1,9 @@
+import { createRateLimiter } from "../../middleware/rateLimit.middleware.js";
+
+// One limiter for every way a user can ask for a translation (REST and socket),
+// so switching transports doesn't reset the count
+export const translateRateLimit = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: "You're translating too fast, please slow down",
+});
@@ -0,0 +1,119 @@
+import crypto from "crypto";
+import translationProvider from "./index.js";
+import TranslationCache from "../../models/TranslationCache.js";
+import TranslationUsage from "../../models/TranslationUsage.js";
+import { detectLanguage } from "./detect.js";
+
+export const MAX_TRANSLATION_LENGTH = 1000;
+
+// source language for text whose language is unknown, resolved by the provider
+export const AUTO_DETECT = "auto";
+
+// characters a user may send to the provider per UTC day
+export const DAILY_CHARACTER_QUOTA =
+  parseInt(process.env.TRANSLATION_DAILY_CHAR_QUOTA, 10) || 50000;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// "en-us" -> "en-US"; rejects anything that isn't a BCP-47 tag
+export const normalizeLanguageCode = (code) => {
+  try {
+    return Intl.getCanonicalLocales(code)[0];
+  } catch (error) {
+    throw createError(`Invalid language code "${code}"`, 400);
+  }
+};
+
+export const getTranslationUsage = async (userId) => {
+  const usage = await TranslationUsage.findOne({ user: userId, day: getDay() });
+
+  return {
+    requests: usage?.requests || 0,
+    characters: usage?.characters || 0,
+    quota: DAILY_CHARACTER_QUOTA,
+  };
+};
+
+// Translates through the cache first and only charges the quota on provider calls
+export const translateText = async ({ text, from, to, userId }) => {
+  if (typeof text !== "string" || !text.trim()) {
+    throw createError("Text is required", 400);
+  }
+  if (text.length > MAX_TRANSLATION_LENGTH) {
+    throw createError(`Text must be at most ${MAX_TRANSLATION_LENGTH} characters`, 400);
+  }
+  if (!from || !to) {
+    throw createError("Source and target languages are required", 400);
+  }
+
+  const trimmed = text.trim();
+  const target = normalizeLanguageCode(to);
+
+  // "auto" is resolved locally when possible and left to the provider otherwise
+  const detectedLanguage = from === AUTO_DETECT ? detectLanguage(trimmed) : null;
+  const source =
+    from === AUTO_DETECT ? detectedLanguage || AUTO_DETECT : normalizeLanguageCode(from);
+
+  if (source === target) {
+    return { translatedText: trimmed, from: source, to: target, detectedLanguage, cached: true };
+  }
+
+  const textHash = crypto.createHash("sha256").update(trimmed).digest("hex");
+  const day = getDay();
+
+  const cached = await TranslationCache.findOneAndUpdate(
+    { textHash, from: source, to: target },
+    { $inc: { hits: 1 } },
+    { new: true }
+  );
+
+  if (cached) {
+    await TranslationUsage.updateOne(
+      { user: userId, day },
+      { $inc: { requests: 1 } },
+      { upsert: true }
+    );
+    return {
+      translatedText: cached.translatedText,
+      from: source,
+      to: target,
+      detectedLanguage,
+      cached: true,
+    };
+  }
+
+  const usage = await TranslationUsage.findOne({ user: userId, day });
+  if ((usage?.characters || 0) + trimmed.length > DAILY_CHARACTER_QUOTA) {
+    throw createError("Daily translation limit reached, try again tomorrow", 429);
+  }
+
+  let translatedText;
+  try {
+    translatedText = await translationProvider.translate({ text: trimmed, from: source, to: target });
+  } catch (error) {
+    console.log(`Translation provider ${translationProvider.name} failed:`, error.message);
+    throw createError("Translation service is unavailable, please try again", 502);
+  }
+
+  await Promise.all([
+    // upsert so concurrent misses for the same text don't trip the unique index
+    TranslationCache.updateOne(
+      { textHash, from: source, to: target },
+      { $setOnInsert: { translatedText, provider: translationProvider.name } },
+      { upsert: true }
+    ),
+    TranslationUsage.updateOne(
+      { user: userId, day },
+      { $inc: { requests: 1, characters: trimmed.length } },
+      { upsert: true }
+    ),
+  ]);
+
+  return { translatedText, from: source, to: target, detectedLanguage, cached: false };
+};
@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import { isConversationParticipant } from "./messages.js";
+
+export const MAX_TERM_LENGTH = 200;
+export const MAX_VOCABULARY_TEXT_LENGTH = 1000;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_VOCABULARY_PAGE_SIZE = 100;
+export const MAX_REVIEW_BATCH_SIZE = 50;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Shape sent to clients (expects source.partner to be populated when set)
+export const serializeVocabularyItem = (item) => ({
+  _id: item._id,
+  term: item.term,
+  translation: item.translation,
+  fromLanguage: item.fromLanguage,
+  toLanguage: item.toLanguage,
+  notes: item.notes,
+  tags: item.tags || [],
+  source: {
+    kind: item.source?.kind || "manual",
+    messageId: item.source?.message || null,
+    partnerId: item.source?.partner?._id || item.source?.partner || null,
+    partnerName: item.source?.partner?.fullName || null,
+    context: item.source?.context || "",
+  },
+  review: {
+    dueAt: item.review?.dueAt || item.createdAt,
+    interval: item.review?.interval || 0,
+    repetitions: item.review?.repetitions || 0,
+    lastReviewedAt: item.review?.lastReviewedAt || null,
+  },
+  createdAt: item.createdAt,
+  updatedAt: item.updatedAt,
+});
+
+const readText = (value, field, maxLength) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value !== "string") throw createError(`${field} must be text`, 400);
+  if (value.trim().length > maxLength) {
+    throw createError(`${field} must be at most ${maxLength} characters`, 400);
+  }
+  return value.trim();
+};
+
+// Tags are compared case-insensitively, so they are stored lowercase and unique
+export const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  if (!Array.isArray(tags)) throw createError("Tags must be a list", 400);
+
+  const normalized = [
+    ...new Set(tags.map((tag) => readText(tag, "Tag", MAX_TAG_LENGTH).toLowerCase())),
+  ].filter(Boolean);
+
+  if (normalized.length > MAX_TAGS) throw createError(`At most ${MAX_TAGS} tags per item`, 400);
+  return normalized;
+};
+
+// Validates a create (all fields) or update (only the fields present) body
+export const parseVocabularyInput = (body, { partial = false } = {}) => {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has("term")) {
+    values.term = readText(body.term, "Term", MAX_TERM_LENGTH);
+    if (!values.term) throw createError("Term is required", 400);
+  }
+  if (!partial || has("translation")) {
+    values.translation = readText(body.translation, "Translation", MAX_VOCABULARY_TEXT_LENGTH);
+  }
+  if (!partial || has("notes")) {
+    values.notes = readText(body.notes, "Notes", MAX_VOCABULARY_TEXT_LENGTH);
+  }
+  if (!partial || has("tags")) {
+    values.tags = normalizeTags(body.tags);
+  }
+  ["fromLanguage", "toLanguage"].forEach((field) => {
+    if (!partial || has(field)) {
+      values[field] = readText(body[field], field, 20).toLowerCase() || null;
+    }
+  });
+
+  return values;
+};
+
+// Resolves where a new item came from; chat sources must be a message the user can see
+export const resolveVocabularySource = async (source, userId) => {
+  if (!source) return { kind: "manual" };
+
+  const kind = source.kind || "manual";
+  const context = readText(source.context, "Context", MAX_VOCABULARY_TEXT_LENGTH);
+
+  if (kind === "chat") {
+    if (!mongoose.Types.ObjectId.isValid(source.messageId)) {
+      throw createError("Source message not found", 404);
+    }
+
+    const message = await Message.findById(source.messageId).select(
+      "conversationId senderId receiverId text isDeleted"
+    );
+    if (!message || !isConversationParticipant(message.conversationId, userId)) {
+      throw createError("Source message not found", 404);
+    }
+
+    const partner = message.senderId.toString() === userId.toString()
+      ? message.receiverId
+      : message.senderId;
+
+    return {
+      kind,
+      message: message._id,
+      partner,
+      context: context || (message.isDeleted ? "" : message.text),
+    };
+  }
+
+  if (kind === "call" || kind === "manual") return { kind, context };
+
+  throw createError("Unknown vocabulary source", 400);
+};
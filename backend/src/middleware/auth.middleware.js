@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import cookie from "cookie";
 import User from "../models/User.js";
 
 export const protectRoute = async (req, res, next) => {
@@ -29,3 +30,41 @@ export const protectRoute = async (req, res, next) => {
     res.status(500).json({ message: "Internal Server Error" });
   }
 };
+
+// Socket.io handshake middleware: authenticates the connection from the same
+// jwt cookie protectRoute uses and exposes the user as socket.data.user
+export const protectSocket = async (socket, next) => {
+  try {
+    const cookies = cookie.parse(socket.handshake.headers.cookie || "");
+    const token = cookies.jwt;
+
+    if (!token) {
+      return next(new Error("Unauthorized - No token provided"));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+
+    if (!decoded) {
+      return next(new Error("Unauthorized - Invalid token"));
+    }
+
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user) {
+      return next(new Error("Unauthorized - User not found"));
+    }
+
+    // plain fields only: socket.data is sent to other instances by fetchSockets()
+    socket.data.user = {
+      _id: user._id.toString(),
+      fullName: user.fullName,
+      profilePic: user.profilePic,
+      nativeLanguage: user.nativeLanguage,
+    };
+
+    next();
+  } catch (error) {
+    console.log("Error in protectSocket middleware", error.message);
+    next(new Error("Unauthorized - Invalid token"));
+  }
+};
@@ -0,0 +1,46 @@
+// Fixed-window, in-memory rate limiter keyed by the authenticated user.
+// Runs after protectRoute; state is per process.
+export const createRateLimiter = ({ windowMs, max, message = "Too many requests" }) => {
+  const hits = new Map(); // userId -> { count, resetAt }
+
+  // drop expired windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  // Counts one hit; returns the seconds until the window resets once over the limit, else 0
+  const consume = (userId) => {
+    const key = userId.toString();
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  };
+
+  const rateLimit = (req, res, next) => {
+    const retryAfter = consume(req.user._id);
+
+    if (retryAfter) {
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({ message });
+    }
+
+    next();
+  };
+
+  // socket handlers have no req/res, they share the same counters through these
+  rateLimit.consume = consume;
+  rateLimit.message = message;
+
+  return rateLimit;
+};
@@ -0,0 +1,55 @@
+import multer from "multer";
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "text/plain",
+  // voice messages recorded in the browser
+  "audio/webm",
+  "audio/ogg",
+  "audio/mp4",
+  "audio/mpeg",
+  "audio/wav",
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    // MediaRecorder types carry codec parameters, e.g. "audio/webm;codecs=opus"
+    const baseType = file.mimetype.split(";")[0].trim();
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(baseType)) {
+      const error = new Error("This file type is not allowed");
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// Parses a single "file" field and turns multer errors into 400 responses
+export const parseAttachmentUpload = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const message =
+        error.code === "LIMIT_FILE_SIZE" ? "File size must be less than 10MB" : error.message;
+      return res.status(400).json({ message });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.log("Error in uploadAttachment middleware", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  });
+};
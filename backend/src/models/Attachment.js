@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+export const MAX_VOICE_DURATION = 5 * 60; // seconds
+// browsers measure with wall-clock timers, so a full-length note can run slightly over
+export const VOICE_DURATION_TOLERANCE = 2; // seconds
+export const MAX_WAVEFORM_POINTS = 100;
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // only participants of this conversation may download the file
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["image", "file", "voice"],
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // images only
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    // voice only, duration in seconds and normalised amplitude peaks (0-100)
+    duration: {
+      type: Number,
+      default: null,
+    },
+    waveform: {
+      type: [Number],
+      default: undefined,
+    },
+    // set on upload and cleared once a message uses the file; past it the upload is removed
+    unattachedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+attachmentSchema.index({ conversationId: 1, createdAt: -1 });
+attachmentSchema.index({ unattachedUntil: 1 }, { partialFilterExpression: { unattachedUntil: { $type: "date" } } });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Per-user preferences for one conversation, each participant has their own
+const conversationSettingsSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    // translate the partner's messages into my native language as they arrive
+    autoTranslate: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSettingsSchema.index({ user: 1, conversationId: 1 }, { unique: true });
+
+const ConversationSettings = mongoose.model("ConversationSettings", conversationSettingsSchema);
+
+export default ConversationSettings;
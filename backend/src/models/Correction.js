@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// A partner's suggested rewrite of a message, kept so the author can review it later
+const correctionSchema = new mongoose.Schema(
+  {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      required: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    // the partner who suggested the correction
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // the learner who wrote the original message
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // copied so the correction still makes sense if the message is edited
+    originalText: {
+      type: String,
+      required: true,
+    },
+    correctedText: {
+      type: String,
+      required: true,
+    },
+    explanation: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+correctionSchema.index({ message: 1, createdAt: 1 });
+correctionSchema.index({ recipient: 1, createdAt: -1 });
+correctionSchema.index({ author: 1, createdAt: -1 });
+
+const Correction = mongoose.model("Correction", correctionSchema);
+
+export default Correction;
@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 
+// pending requests older than this are expired automatically
+export const FRIEND_REQUEST_TTL_DAYS = 30;
+
+// how long a sender has to wait before re-sending a declined request
+export const DECLINED_REQUEST_COOLDOWN_DAYS = 7;
+
+export const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
 const friendRequestSchema = new mongoose.Schema(
   {
     sender: {
@@ -14,15 +22,38 @@ const friendRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "accepted"],
+      enum: ["pending", "accepted", "declined", "cancelled", "expired"],
       default: "pending",
     },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+friendRequestSchema.index({ sender: 1, recipient: 1, status: 1 });
+friendRequestSchema.index({ status: 1, createdAt: 1 });
+friendRequestSchema.index({ recipient: 1, status: 1, createdAt: 1 });
+
+// mark one user's stale pending requests (sent or received) as expired; every
+// endpoint only reads requests involving the acting user, so that's all it needs
+friendRequestSchema.statics.expireStale = function (userId) {
+  const cutoff = new Date(Date.now() - FRIEND_REQUEST_TTL_DAYS * DAY_IN_MS);
+
+  return this.updateMany(
+    {
+      $or: [{ sender: userId }, { recipient: userId }],
+      status: "pending",
+      createdAt: { $lt: cutoff },
+    },
+    { status: "expired", respondedAt: new Date() }
+  );
+};
+
 const FriendRequest = mongoose.model("FriendRequest", friendRequestSchema);
 
 export default FriendRequest;
@@ -16,11 +16,21 @@ const messageSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // generated by the sending device so a retried send is stored only once
+    clientId: {
+      type: String,
+      default: null,
+    },
     messageType: {
       type: String,
-      enum: ["text", "image", "file", "call-invite", "call-ended"],
+      enum: ["text", "image", "file", "voice", "call-invite", "call-ended"],
       default: "text",
     },
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attachment",
+      default: null,
+    },
     fileUrl: {
       type: String,
       default: null,
@@ -38,6 +48,35 @@ const messageSchema = new mongoose.Schema(
       ref: "Message",
       default: null,
     },
+    // set on text messages by the offline detector, null when unsure
+    detectedLanguage: {
+      type: String,
+      default: null,
+    },
+    // one entry per target language, shared by both participants
+    translations: [{
+      _id: false,
+      language: {
+        type: String,
+        required: true,
+      },
+      sourceLanguage: {
+        type: String,
+        required: true,
+      },
+      text: {
+        type: String,
+        required: true,
+      },
+      translatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
     reactions: [{
       userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -57,6 +96,20 @@ const messageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // delivery state as seen by the sender; isRead mirrors status === "read"
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read"],
+      default: "sent",
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
     conversationId: {
       type: String,
       required: true,
@@ -84,6 +137,17 @@ const messageSchema = new mongoose.Schema(
 // Index for faster queries
 messageSchema.index({ conversationId: 1, createdAt: 1 });
 messageSchema.index({ senderId: 1, receiverId: 1 });
+messageSchema.index({ receiverId: 1, isRead: 1 });
+// messages from before client ids existed are left out of the uniqueness check
+messageSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+// missed-event sync scans each side of a user's conversations by last change
+messageSchema.index({ senderId: 1, updatedAt: 1 });
+messageSchema.index({ receiverId: 1, updatedAt: 1 });
+// downloads and upload cleanup look up the message that shares an attachment
+messageSchema.index({ attachment: 1 }, { sparse: true });
 
 const Message = mongoose.model("Message", messageSchema);
 
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// cached entries not used for this long are dropped by MongoDB
+const CACHE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const translationCacheSchema = new mongoose.Schema(
+  {
+    // sha256 of the source text, so long texts don't bloat the index
+    textHash: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    translatedText: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+translationCacheSchema.index({ textHash: 1, from: 1, to: 1 }, { unique: true });
+translationCacheSchema.index({ updatedAt: 1 }, { expireAfterSeconds: CACHE_TTL_SECONDS });
+
+const TranslationCache = mongoose.model("TranslationCache", translationCacheSchema);
+
+export default TranslationCache;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// One document per user per UTC day
+const translationUsageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // "YYYY-MM-DD"
+    day: {
+      type: String,
+      required: true,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    // characters sent to the provider, cache hits are free
+    characters: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+translationUsageSchema.index({ user: 1, day: 1 }, { unique: true });
+
+const TranslationUsage = mongoose.model("TranslationUsage", translationUsageSchema);
+
+export default TranslationUsage;
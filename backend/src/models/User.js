@@ -37,16 +37,32 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // IANA time zone (e.g. "Europe/Madrid"), used for partner matching
+    timezone: {
+      type: String,
+      default: "",
+    },
     isOnboarded: {
       type: Boolean,
       default: false,
     },
+    // last time any of the user's devices was connected, only shared with friends
+    lastSeenAt: {
+      type: Date,
+      default: null,
+    },
     friends: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -68,6 +84,17 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return isPasswordCorrect;
 };
 
+// true if either user has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  });
+  return count > 0;
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import { DEFAULT_EASE_FACTOR } from "../lib/srs.js";
+
+// A word or phrase a learner kept from a chat translation, a call caption or typed in
+const vocabularyItemSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    term: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    translation: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // language codes from the registry, null when unknown
+    fromLanguage: {
+      type: String,
+      default: null,
+    },
+    toLanguage: {
+      type: String,
+      default: null,
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    // lowercase labels the learner groups items by
+    tags: [String],
+    // where the item was picked up
+    source: {
+      kind: {
+        type: String,
+        enum: ["manual", "chat", "call"],
+        default: "manual",
+      },
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message",
+        default: null,
+      },
+      partner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      // the full sentence the term came from
+      context: {
+        type: String,
+        default: "",
+      },
+    },
+    // spaced repetition state, see lib/srs.js; new items are due right away
+    review: {
+      dueAt: {
+        type: Date,
+        default: Date.now,
+      },
+      easeFactor: {
+        type: Number,
+        default: DEFAULT_EASE_FACTOR,
+      },
+      // days until the next review
+      interval: {
+        type: Number,
+        default: 0,
+      },
+      // passing reviews in a row
+      repetitions: {
+        type: Number,
+        default: 0,
+      },
+      lastReviewedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+vocabularyItemSchema.index({ user: 1, createdAt: -1 });
+vocabularyItemSchema.index({ user: 1, tags: 1 });
+vocabularyItemSchema.index({ user: 1, "review.dueAt": 1 });
+
+const VocabularyItem = mongoose.model("VocabularyItem", vocabularyItemSchema);
+
+export default VocabularyItem;
@@ -1,9 +1,32 @@
 import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import { getStreamToken } from "../controllers/chat.controller.js";
+import { parseAttachmentUpload } from "../middleware/upload.middleware.js";
+import {
+  createAttachment,
+  downloadAttachment,
+  downloadThumbnail,
+  getConversationMedia,
+} from "../controllers/attachment.controller.js";
+import {
+  getConversations,
+  getConversationSettings,
+  getMessages,
+  getStreamToken,
+  updateConversationSettings,
+} from "../controllers/chat.controller.js";
 
 const router = express.Router();
 
 router.get("/token", protectRoute, getStreamToken);
+router.get("/conversations", protectRoute, getConversations);
+
+router.post("/attachments", protectRoute, parseAttachmentUpload, createAttachment);
+router.get("/attachments/:id", protectRoute, downloadAttachment);
+router.get("/attachments/:id/thumbnail", protectRoute, downloadThumbnail);
+
+router.get("/:userId/messages", protectRoute, getMessages);
+router.get("/:userId/media", protectRoute, getConversationMedia);
+router.get("/:userId/settings", protectRoute, getConversationSettings);
+router.put("/:userId/settings", protectRoute, updateConversationSettings);
 
 export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { getCorrections } from "../controllers/correction.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getCorrections);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { getLanguages } from "../controllers/language.controller.js";
+
+const router = express.Router();
+
+// public, the signup and onboarding screens need it too
+router.get("/", getLanguages);
+
+export default router;
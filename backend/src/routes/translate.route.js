@@ -0,0 +1,12 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { translateRateLimit } from "../lib/translation/rateLimit.js";
+import { detect, getUsage, translate } from "../controllers/translate.controller.js";
+
+const router = express.Router();
+
+router.post("/", protectRoute, translateRateLimit, translate);
+router.post("/detect", protectRoute, translateRateLimit, detect);
+router.get("/usage", protectRoute, getUsage);
+
+export default router;
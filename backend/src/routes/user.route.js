@@ -2,11 +2,19 @@ import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import {
   acceptFriendRequest,
+  blockUser,
+  cancelFriendRequest,
+  declineFriendRequest,
+  getBlockedUsers,
   getFriendRequests,
+  getFriendsPresence,
   getMyFriends,
   getOutgoingFriendReqs,
   getRecommendedUsers,
+  getUserProfile,
+  removeFriend,
   sendFriendRequest,
+  unblockUser,
 } from "../controllers/user.controller.js";
 
 const router = express.Router();
@@ -16,11 +24,22 @@ router.use(protectRoute);
 
 router.get("/", getRecommendedUsers);
 router.get("/friends", getMyFriends);
+router.get("/friends/presence", getFriendsPresence);
+router.delete("/friends/:id", removeFriend);
+
+router.get("/blocked", getBlockedUsers);
+router.post("/block/:id", blockUser);
+router.delete("/block/:id", unblockUser);
 
 router.post("/friend-request/:id", sendFriendRequest);
 router.put("/friend-request/:id/accept", acceptFriendRequest);
+router.put("/friend-request/:id/decline", declineFriendRequest);
+router.delete("/friend-request/:id", cancelFriendRequest);
 
 router.get("/friend-requests", getFriendRequests);
 router.get("/outgoing-friend-requests", getOutgoingFriendReqs);
 
+// keep last so it doesn't shadow the static paths above
+router.get("/:id", getUserProfile);
+
 export default router;
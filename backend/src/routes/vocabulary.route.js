@@ -0,0 +1,25 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  createVocabularyItem,
+  deleteVocabularyItem,
+  getReviewCards,
+  getVocabulary,
+  getVocabularyTags,
+  reviewVocabularyItem,
+  updateVocabularyItem,
+} from "../controllers/vocabulary.controller.js";
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+router.get("/", getVocabulary);
+router.get("/tags", getVocabularyTags);
+router.get("/review", getReviewCards);
+router.post("/", createVocabularyItem);
+router.put("/:id", updateVocabularyItem);
+router.delete("/:id", deleteVocabularyItem);
+router.post("/:id/review", reviewVocabularyItem);
+
+export default router;
@@ -5,13 +5,49 @@ import cors from "cors";
 import path from "path";
 import { createServer } from "http";
 import { Server } from "socket.io";
+import mongoose from "mongoose";
 
 import authRoutes from "./routes/auth.route.js";
 import userRoutes from "./routes/user.route.js";
 import chatRoutes from "./routes/chat.route.js";
+import translateRoutes from "./routes/translate.route.js";
+import languageRoutes from "./routes/language.route.js";
+import correctionRoutes from "./routes/correction.route.js";
+import vocabularyRoutes from "./routes/vocabulary.route.js";
 
 import { connectDB } from "./lib/db.js";
+import { removeAttachment, startAttachmentCleanup } from "./lib/attachments.js";
+import { protectSocket } from "./middleware/auth.middleware.js";
+import { getUserRoom, socketAdapter } from "./lib/presence/index.js";
+import {
+  connectSocket,
+  disconnectSocket,
+  PRESENCE_SWEEP_INTERVAL_MS,
+  setSocketStatus,
+  sweepExpiredPresence,
+} from "./lib/presence/service.js";
+import {
+  ATTACHMENT_PREVIEW_FIELDS,
+  getConversationId,
+  getMessageChangesSince,
+  getMessagePage,
+  MAX_CLIENT_ID_LENGTH,
+  serializeMessage,
+} from "./lib/messages.js";
+import { serializeCorrection, validateCorrection } from "./lib/corrections.js";
+import { getLanguageCode } from "./lib/languages.js";
+import { detectLanguage } from "./lib/translation/detect.js";
+import { translateRateLimit } from "./lib/translation/rateLimit.js";
+import {
+  AUTO_DETECT,
+  normalizeLanguageCode,
+  translateText,
+} from "./lib/translation/service.js";
 import Message from "./models/Message.js";
+import User from "./models/User.js";
+import Attachment from "./models/Attachment.js";
+import ConversationSettings from "./models/ConversationSettings.js";
+import Correction from "./models/Correction.js";
 
 const app = express();
 const server = createServer(app);
@@ -49,6 +85,10 @@ app.use(cookieParser());
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/chat", chatRoutes);
+app.use("/api/translate", translateRoutes);
+app.use("/api/languages", languageRoutes);
+app.use("/api/corrections", correctionRoutes);
+app.use("/api/vocabulary", vocabularyRoutes);
 
 
 
@@ -79,11 +119,153 @@ const io = new Server(server, {
   },
 });
 
-// Store active users and rooms
-const activeUsers = new Map();
-const activeRooms = new Map();
+// Relay events between backend instances when there is more than one
+if (socketAdapter) {
+  io.adapter(socketAdapter);
+}
+
+// Typing indicators expire on their own so a vanished client can't leave one stuck
+const TYPING_TIMEOUT_MS = 5000;
+const typingTimers = new Map(); // "<userId>:<targetUserId>" -> timeout
+
+const stopTyping = (userId, targetUserId) => {
+  const key = `${userId}:${targetUserId}`;
+  const timer = typingTimers.get(key);
+  if (!timer) return;
+
+  clearTimeout(timer);
+  typingTimers.delete(key);
+
+  io.to(getUserRoom(targetUserId)).emit("typing:stop", { userId });
+};
+
+// Tells a user's friends that their status changed; strangers never see presence
+const notifyFriendsOfPresence = async ({ userId, status, lastSeenAt, changed }) => {
+  if (!changed) return;
+
+  const user = await User.findById(userId).select("friends");
+  if (!user || user.friends.length === 0) return;
+
+  io.to(user.friends.map((friendId) => getUserRoom(friendId.toString()))).emit(
+    "presence:update",
+    { userId, status, lastSeenAt }
+  );
+};
+
+// Users left behind by a crashed backend process go offline once their heartbeat lapses
+setInterval(() => {
+  sweepExpiredPresence()
+    .then((changes) => Promise.all(changes.map(notifyFriendsOfPresence)))
+    .catch((error) => console.log("Error sweeping presence:", error.message));
+}, PRESENCE_SWEEP_INTERVAL_MS).unref();
+
+// Marks a recipient's still-pending messages delivered and tells each sender
+const markDelivered = async (receiverId, filter = {}) => {
+  const deliveredAt = new Date();
+
+  const messages = await Message.find({
+    ...filter,
+    receiverId,
+    status: "sent",
+  }).select("senderId");
+
+  if (messages.length === 0) return;
+
+  await Message.updateMany(
+    { _id: { $in: messages.map((msg) => msg._id) } },
+    { status: "delivered", deliveredAt }
+  );
+
+  // Notify each sender about their delivered messages
+  const idsBySender = new Map();
+  messages.forEach((msg) => {
+    const senderId = msg.senderId.toString();
+    idsBySender.set(senderId, [...(idsBySender.get(senderId) || []), msg._id]);
+  });
+
+  idsBySender.forEach((ids, senderId) => {
+    io.to(getUserRoom(senderId)).emit("message:status", {
+      messageIds: ids,
+      status: "delivered",
+      deliveredAt,
+      // taken before the write, so a cursor set from it never skips this change
+      updatedAt: deliveredAt,
+    });
+  });
+};
+
+// Rooms of both people in a message's conversation
+const getParticipantRooms = (message) =>
+  [message.senderId, message.receiverId].map((participantId) =>
+    getUserRoom((participantId._id || participantId).toString())
+  );
+
+// Stores a translation on the message and shows it to both participants
+const saveTranslation = async (message, translation) => {
+  // skip the push if the other participant saved the same language meanwhile,
+  // or the message was deleted while the provider was working
+  const updated = await Message.findOneAndUpdate(
+    {
+      _id: message._id,
+      isDeleted: false,
+      "translations.language": { $ne: translation.language },
+    },
+    { $push: { translations: translation } },
+    { new: true }
+  ).select("updatedAt");
+
+  const translatedData = {
+    messageId: message._id,
+    conversationId: message.conversationId,
+    translation,
+    updatedAt: updated?.updatedAt || null,
+  };
+
+  io.to(getParticipantRooms(message)).emit("message:translated", translatedData);
+};
+
+// Translates a new text message for a reader who turned on auto-translate,
+// from the sender's native language when known
+const autoTranslateForReader = async (message, sender) => {
+  if (message.messageType !== "text") return;
+
+  const settings = await ConversationSettings.findOne({
+    user: message.receiverId,
+    conversationId: message.conversationId,
+    autoTranslate: true,
+  });
+  if (!settings) return;
+
+  const reader = await User.findById(message.receiverId).select("nativeLanguage");
+  const language = getLanguageCode(reader?.nativeLanguage);
+  const from =
+    getLanguageCode(sender.nativeLanguage) || message.detectedLanguage || AUTO_DETECT;
+  if (!language || from === language) return;
+
+  const { translatedText, from: sourceLanguage } = await translateText({
+    text: message.text,
+    from,
+    to: language,
+    userId: message.receiverId,
+  });
+
+  await saveTranslation(message, {
+    language,
+    sourceLanguage,
+    text: translatedText,
+    translatedBy: message.receiverId,
+    createdAt: new Date(),
+  });
+};
+
+// Only authenticated sockets may connect; the acting user always comes from
+// socket.data.user, never from event payloads
+io.use(protectSocket);
 
 io.on("connection", (socket) => {
+  const currentUser = socket.data.user;
+  const currentUserId = currentUser._id.toString();
+
   console.log(`User connected: ${socket.id}`);
 
   // Error handling for socket connections
@@ -91,35 +273,80 @@ io.on("connection", (socket) => {
     console.error(`Socket error for ${socket.id}:`, error);
   });
 
-  // User joins with authentication
-  socket.on("user:join", (userData) => {
+  console.log(`User ${currentUser.fullName} joined`);
+  socket.join(getUserRoom(currentUserId));
+
+  // Register the authenticated user as active; friends hear about it if this
+  // device changed their status. Not awaited so the handlers below are in place
+  // before the client's first event.
+  connectSocket(currentUserId, socket.id)
+    .then(notifyFriendsOfPresence)
+    .catch((error) => console.log("Error registering presence:", error.message));
+
+  // The client reports "away" when its tab is hidden and "online" when it's back
+  socket.on("presence:status", async (data) => {
     try {
-      activeUsers.set(socket.id, {
-        ...userData,
-        socketId: socket.id,
-        joinedAt: new Date(),
-      });
-      console.log(`User ${userData.fullName} joined`);
-      
-      // Broadcast user online status
-      socket.broadcast.emit("user:online", {
-        userId: userData._id,
-        socketId: socket.id,
-      });
+      await notifyFriendsOfPresence(await setSocketStatus(currentUserId, socket.id, data?.status));
     } catch (error) {
-      console.error("Error in user:join:", error);
-      socket.emit("error", { message: "Failed to join" });
+      console.error("Error in presence:status:", error);
+      socket.emit("error", {
+        message: error.statusCode ? error.message : "Failed to update status",
+      });
     }
   });
 
-  // Chat message handling with database persistence
-  socket.on("chat:message", async (data) => {
+  // Chat message handling with database persistence. Clients pass an ack
+  // callback and a clientId: the ack carries the stored message or an error, and
+  // a clientId that was already stored is acknowledged again instead of duplicated.
+  socket.on("chat:message", async (data, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const fail = (message) => {
+      socket.emit("error", { message });
+      reply({ error: message });
+    };
+
     try {
-      const { targetUserId, message, senderId, messageType, fileUrl, fileName, fileSize, replyTo } = data;
-      const timestamp = new Date();
+      const { targetUserId, message, messageType, attachmentId, replyTo, clientId } = data;
+      const senderId = currentUserId;
+
+      if (!targetUserId) {
+        fail("Target user is required");
+        return;
+      }
+
+      if (
+        clientId !== undefined &&
+        (typeof clientId !== "string" || !clientId || clientId.length > MAX_CLIENT_ID_LENGTH)
+      ) {
+        fail("Invalid message id");
+        return;
+      }
+
+      const findRetried = () =>
+        Message.findOne({ senderId, clientId }).populate([
+          { path: "senderId", select: "fullName profilePic" },
+          { path: "attachment", select: ATTACHMENT_PREVIEW_FIELDS },
+        ]);
+
+      // A retry of a message that already made it: confirm it without resending
+      if (clientId) {
+        const retried = await findRetried();
+        if (retried) {
+          reply({ message: serializeMessage(retried) });
+          return;
+        }
+      }
+
+      if (await User.isBlockedBetween(senderId, targetUserId)) {
+        fail("You can't message this user");
+        return;
+      }
+
+      // Sending a message ends the typing indicator
+      stopTyping(senderId, targetUserId.toString());
       
       // Create conversation ID (consistent ordering)
-      const conversationId = [senderId, targetUserId].sort().join("-");
+      const conversationId = getConversationId(senderId, targetUserId);
       
       // Save message to database
       const messageData = {
@@ -129,118 +356,243 @@ io.on("connection", (socket) => {
         conversationId,
         messageType: messageType || "text",
       };
-      
+
+      // Files are uploaded over HTTP first; messages only reference them
+      // Claiming the upload stops the unattached-upload cleanup from removing it
+      if (attachmentId) {
+        const attachment = mongoose.Types.ObjectId.isValid(attachmentId)
+          ? await Attachment.findOneAndUpdate(
+              { _id: attachmentId, uploader: senderId, conversationId },
+              { unattachedUntil: null }
+            )
+          : null;
+
+        if (!attachment) {
+          fail("Attachment not found");
+          return;
+        }
+
+        messageData.attachment = attachment._id;
+        messageData.messageType = attachment.kind;
+        messageData.fileName = attachment.originalName;
+        messageData.fileSize = attachment.size;
+      } else if (["image", "file", "voice"].includes(messageData.messageType)) {
+        fail("Attachments must be uploaded before sending");
+        return;
+      }
+
+      // Only real text gets a language; attachment placeholders would otherwise
+      // be tagged and auto-translated
+      if (messageData.messageType === "text") {
+        messageData.detectedLanguage = detectLanguage(message);
+      }
+
       // Add optional fields if present
-      if (fileUrl) messageData.fileUrl = fileUrl;
-      if (fileName) messageData.fileName = fileName;
-      if (fileSize) messageData.fileSize = fileSize;
       if (replyTo) messageData.replyTo = replyTo;
+      if (clientId) messageData.clientId = clientId;
       
-      const savedMessage = await Message.create(messageData);
+      let savedMessage;
+      try {
+        savedMessage = await Message.create(messageData);
+      } catch (error) {
+        // the same send raced in on another connection and won
+        if (error.code !== 11000 || !clientId) throw error;
+        reply({ message: serializeMessage(await findRetried()) });
+        return;
+      }
 
-      // Populate sender info for real-time delivery
-      await savedMessage.populate("senderId", "fullName profilePic");
+      // Populate sender and attachment info for real-time delivery
+      await savedMessage.populate([
+        { path: "senderId", select: "fullName profilePic" },
+        { path: "attachment", select: ATTACHMENT_PREVIEW_FIELDS },
+      ]);
       
-      // Find target user's socket
-      console.log("Looking for target user:", targetUserId);
-      console.log("Active users:", Array.from(activeUsers.entries()).map(([id, user]) => ({socketId: id, userId: user._id, name: user.fullName})));
-      
-      const targetSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id.toString() === targetUserId.toString()
+      // Deliver to every device of the target user that is online
+      io.to(getUserRoom(targetUserId.toString())).emit(
+        "chat:message",
+        serializeMessage(savedMessage)
       );
 
-      // Send to target user if online
-      if (targetSocket) {
-        const [targetSocketId] = targetSocket;
-        console.log("Sending message to target user:", targetSocketId);
-        io.to(targetSocketId).emit("chat:message", {
-          _id: savedMessage._id,
-          message: savedMessage.text,
-          senderId: savedMessage.senderId._id,
-          senderName: savedMessage.senderId.fullName,
-          senderPic: savedMessage.senderId.profilePic,
-          timestamp: savedMessage.createdAt,
-          conversationId: savedMessage.conversationId,
-          messageType: savedMessage.messageType,
-          fileUrl: savedMessage.fileUrl,
-          fileName: savedMessage.fileName,
-          fileSize: savedMessage.fileSize,
-          replyTo: savedMessage.replyTo,
-          reactions: savedMessage.reactions || [],
-        });
-      } else {
-        console.log("Target user not found online for:", targetUserId);
-      }
-
-      // Send confirmation back to sender
-      socket.emit("chat:message:sent", {
-        _id: savedMessage._id,
-        message: savedMessage.text,
+      // Confirm to the sender, including their other devices so they stay in sync
+      io.to(getUserRoom(senderId)).emit("chat:message:sent", {
+        ...serializeMessage(savedMessage),
         targetUserId,
-        timestamp: savedMessage.createdAt,
-        conversationId: savedMessage.conversationId,
-        messageType: savedMessage.messageType,
-        fileUrl: savedMessage.fileUrl,
-        fileName: savedMessage.fileName,
-        fileSize: savedMessage.fileSize,
-        replyTo: savedMessage.replyTo,
-        reactions: savedMessage.reactions || [],
+      });
+      reply({ message: serializeMessage(savedMessage) });
+
+      // Runs after delivery so a slow provider never holds up the message
+      autoTranslateForReader(savedMessage, currentUser).catch((error) => {
+        console.log("Error auto-translating message:", error.message);
       });
 
     } catch (error) {
       console.error("Error in chat:message:", error);
-      socket.emit("error", { message: "Failed to send message" });
+      fail("Failed to send message");
     }
   });
 
   // Get chat history
   socket.on("chat:get-history", async (data) => {
     try {
-      const { targetUserId, userId, limit = 50 } = data;
-      const conversationId = [userId, targetUserId].sort().join("-");
-      
-      const messages = await Message.find({ conversationId })
-        .populate("senderId", "fullName profilePic")
-        .populate("replyTo")
-        .sort({ createdAt: -1 })
-        .limit(limit);
+      const { targetUserId, limit = 50, before } = data;
+
+      if (!targetUserId) {
+        socket.emit("chat:history:failed", {
+          before: before || null,
+          message: "Target user is required",
+        });
+        return;
+      }
+
+      const conversationId = getConversationId(currentUserId, targetUserId);
+
+      const page = await getMessagePage({ conversationId, before, limit });
 
+      // `before` is echoed back so clients can tell older pages from a fresh load
       socket.emit("chat:history", {
         conversationId,
-        messages: messages.reverse().map(msg => ({
-          _id: msg._id,
-          message: msg.text,
-          senderId: msg.senderId._id,
-          senderName: msg.senderId.fullName,
-          senderPic: msg.senderId.profilePic,
-          timestamp: msg.createdAt,
-          conversationId: msg.conversationId,
-          messageType: msg.messageType,
-          fileUrl: msg.fileUrl,
-          fileName: msg.fileName,
-          fileSize: msg.fileSize,
-          replyTo: msg.replyTo?._id,
-          reactions: msg.reactions || [],
-          isEdited: msg.isEdited || false,
-          editedAt: msg.editedAt,
-          isDeleted: msg.isDeleted || false,
-          deletedAt: msg.deletedAt,
-        }))
+        before: before || null,
+        ...page,
       });
 
     } catch (error) {
       console.error("Error getting chat history:", error);
-      socket.emit("error", { message: "Failed to load chat history" });
+      // answered like a page so the client can clear whichever loading state it set
+      socket.emit("chat:history:failed", {
+        before: data?.before || null,
+        message: error.statusCode ? error.message : "Failed to load chat history",
+      });
+    }
+  });
+
+  // Typing indicators, relayed only to the conversation partner
+  socket.on("typing:start", async (data) => {
+    try {
+      const targetUserId = data?.targetUserId?.toString();
+      if (!targetUserId) return;
+
+      const key = `${currentUserId}:${targetUserId}`;
+      const isAlreadyTyping = typingTimers.has(key);
+
+      // Repeated starts only refresh the expiry timer
+      clearTimeout(typingTimers.get(key));
+      typingTimers.set(
+        key,
+        setTimeout(() => stopTyping(currentUserId, targetUserId), TYPING_TIMEOUT_MS)
+      );
+
+      if (isAlreadyTyping) return;
+
+      if (await User.isBlockedBetween(currentUserId, targetUserId)) {
+        clearTimeout(typingTimers.get(key));
+        typingTimers.delete(key);
+        return;
+      }
+
+      io.to(getUserRoom(targetUserId)).emit("typing:start", {
+        userId: currentUserId,
+        fullName: currentUser.fullName,
+      });
+    } catch (error) {
+      console.error("Error in typing:start:", error);
+    }
+  });
+
+  socket.on("typing:stop", (data) => {
+    const targetUserId = data?.targetUserId?.toString();
+    if (targetUserId) stopTyping(currentUserId, targetUserId);
+  });
+
+  // Recipient acknowledges that messages reached one of their devices
+  socket.on("message:delivered", async (data) => {
+    try {
+      const { messageIds = [] } = data;
+      await markDelivered(currentUserId, { _id: { $in: messageIds } });
+    } catch (error) {
+      console.error("Error in message:delivered:", error);
+    }
+  });
+
+  // A (re)connecting device catches up on what it missed. The first page of a
+  // sync also delivers whatever was sent while all of this user's devices were
+  // offline; without `since` (first visit from this browser) there is nothing to replay.
+  socket.on("sync:request", async (data) => {
+    try {
+      const { since, after } = data || {};
+
+      if (!after) await markDelivered(currentUserId);
+
+      if (!since) {
+        socket.emit("sync:messages", {
+          messages: [],
+          hasMore: false,
+          nextCursor: null,
+          syncedAt: new Date(),
+        });
+        return;
+      }
+
+      const changes = await getMessageChangesSince({ userId: currentUserId, since, after });
+      socket.emit("sync:messages", changes);
+    } catch (error) {
+      console.error("Error in sync:request:", error);
+      socket.emit("error", {
+        message: error.statusCode ? error.message : "Failed to sync messages",
+      });
+    }
+  });
+
+  // Recipient has read everything their partner sent in a conversation
+  socket.on("conversation:read", async (data) => {
+    try {
+      const { targetUserId } = data;
+      const conversationId = getConversationId(currentUserId, targetUserId);
+      const readAt = new Date();
+
+      const unreadMessages = await Message.find({
+        conversationId,
+        receiverId: currentUserId,
+        status: { $ne: "read" },
+      }).select("_id");
+
+      if (unreadMessages.length === 0) return;
+
+      const messageIds = unreadMessages.map((msg) => msg._id);
+
+      // a message can be read without an explicit delivery ack
+      await Message.updateMany(
+        { _id: { $in: messageIds }, deliveredAt: null },
+        { deliveredAt: readAt }
+      );
+      await Message.updateMany(
+        { _id: { $in: messageIds } },
+        { status: "read", isRead: true, readAt }
+      );
+
+      io.to(getUserRoom(targetUserId.toString())).emit("message:status", {
+        messageIds,
+        conversationId,
+        status: "read",
+        readAt,
+        updatedAt: readAt,
+      });
+    } catch (error) {
+      console.error("Error in conversation:read:", error);
     }
   });
 
   // Handle message reactions
   socket.on("message:react", async (data) => {
     try {
-      const { messageId, emoji, userId } = data;
+      const { messageId, emoji } = data;
+      const userId = currentUserId;
       
       const message = await Message.findById(messageId);
-      if (!message) {
+      const isParticipant =
+        message && [message.senderId.toString(), message.receiverId.toString()].includes(userId);
+
+      // messages outside my conversations look the same as missing ones
+      if (!isParticipant) {
         socket.emit("error", { message: "Message not found" });
         return;
       }
@@ -262,28 +614,17 @@ io.on("connection", (socket) => {
 
       await message.save();
 
-      // Broadcast to both users
-      const targetSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id === message.receiverId.toString()
-      );
-      const senderSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id === message.senderId.toString()
-      );
-
       const reactionData = {
         messageId,
         reactions: message.reactions,
         userId,
         emoji,
-        action: existingReaction ? "removed" : "added"
+        action: existingReaction ? "removed" : "added",
+        updatedAt: message.updatedAt
       };
 
-      if (targetSocket) {
-        io.to(targetSocket[0]).emit("message:reaction", reactionData);
-      }
-      if (senderSocket) {
-        io.to(senderSocket[0]).emit("message:reaction", reactionData);
-      }
+      // Broadcast to both users
+      io.to(getParticipantRooms(message)).emit("message:reaction", reactionData);
 
     } catch (error) {
       console.error("Error handling reaction:", error);
@@ -294,7 +635,8 @@ io.on("connection", (socket) => {
   // Handle message edit
   socket.on("message:edit", async (data) => {
     try {
-      const { messageId, newText, userId } = data;
+      const { messageId, newText } = data;
+      const userId = currentUserId;
       
       const message = await Message.findById(messageId);
       if (!message) {
@@ -312,29 +654,23 @@ io.on("connection", (socket) => {
       message.text = newText;
       message.isEdited = true;
       message.editedAt = new Date();
+      // translations and detection of the old text no longer apply
+      message.translations = [];
+      if (message.messageType === "text") {
+        message.detectedLanguage = detectLanguage(newText);
+      }
       await message.save();
 
-      // Broadcast to both users
-      const targetSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id === message.receiverId.toString()
-      );
-      const senderSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id === message.senderId.toString()
-      );
-
       const editData = {
         messageId,
         newText,
         editedAt: message.editedAt,
-        userId
+        userId,
+        updatedAt: message.updatedAt
       };
 
-      if (targetSocket) {
-        io.to(targetSocket[0]).emit("message:edited", editData);
-      }
-      if (senderSocket) {
-        io.to(senderSocket[0]).emit("message:edited", editData);
-      }
+      // Broadcast to both users
+      io.to(getParticipantRooms(message)).emit("message:edited", editData);
 
     } catch (error) {
       console.error("Error editing message:", error);
@@ -342,10 +678,132 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Translate a message and keep the result on it for both participants
+  socket.on("message:translate", async (data) => {
+    const { messageId, from, to } = data || {};
+
+    try {
+      // shares the REST endpoint's per-user limit so the socket can't bypass it
+      if (translateRateLimit.consume(currentUserId)) {
+        socket.emit("message:translate:failed", {
+          messageId,
+          message: translateRateLimit.message,
+        });
+        return;
+      }
+
+      const message = await Message.findById(messageId);
+      const isParticipant =
+        message &&
+        [message.senderId.toString(), message.receiverId.toString()].includes(currentUserId);
+
+      if (!isParticipant || message.isDeleted) {
+        socket.emit("message:translate:failed", { messageId, message: "Message not found" });
+        return;
+      }
+
+      const language = normalizeLanguageCode(to);
+      const existing = message.translations.find((t) => t.language === language);
+
+      // already translated by either participant, just hand it back
+      if (existing) {
+        socket.emit("message:translated", {
+          messageId,
+          conversationId: message.conversationId,
+          translation: existing,
+        });
+        return;
+      }
+
+      const { translatedText, from: sourceLanguage } = await translateText({
+        text: message.text,
+        from: from && from !== AUTO_DETECT ? from : message.detectedLanguage || AUTO_DETECT,
+        to: language,
+        userId: currentUserId,
+      });
+
+      const translation = {
+        language,
+        sourceLanguage,
+        text: translatedText,
+        translatedBy: currentUserId,
+        createdAt: new Date(),
+      };
+
+      await saveTranslation(message, translation);
+    } catch (error) {
+      console.error("Error translating message:", error);
+      socket.emit("message:translate:failed", {
+        messageId,
+        message: error.statusCode ? error.message : "Translation failed",
+      });
+    }
+  });
+
+  // Suggest a corrected version of the partner's message; the author is notified
+  socket.on("message:correct", async (data) => {
+    const { messageId, correctedText, explanation } = data || {};
+
+    try {
+      const message = await Message.findById(messageId);
+      const isRecipient = message && message.receiverId.toString() === currentUserId;
+
+      // only the partner can correct, and only plain text that's still there
+      if (!isRecipient || message.isDeleted || message.messageType !== "text") {
+        socket.emit("message:correct:failed", { messageId, message: "Message not found" });
+        return;
+      }
+
+      if (await User.isBlockedBetween(currentUserId, message.senderId)) {
+        socket.emit("message:correct:failed", {
+          messageId,
+          message: "You can't correct this user's messages",
+        });
+        return;
+      }
+
+      const values = validateCorrection({
+        originalText: message.text,
+        correctedText,
+        explanation,
+      });
+
+      const correction = await Correction.create({
+        message: message._id,
+        conversationId: message.conversationId,
+        author: currentUserId,
+        recipient: message.senderId,
+        originalText: message.text,
+        ...values,
+      });
+      await correction.populate("author", "fullName profilePic");
+
+      // a new correction counts as a change to its message, so sync picks it up
+      message.updatedAt = new Date();
+      await message.save();
+
+      const correctedData = {
+        messageId,
+        conversationId: message.conversationId,
+        correction: serializeCorrection(correction),
+        updatedAt: message.updatedAt,
+      };
+
+      io.to(getParticipantRooms(message)).emit("message:corrected", correctedData);
+    } catch (error) {
+      console.error("Error correcting message:", error);
+      socket.emit("message:correct:failed", {
+        messageId,
+        message: error.statusCode ? error.message : "Failed to save correction",
+      });
+    }
+  });
+
   // Handle message delete
   socket.on("message:delete", async (data) => {
     try {
-      const { messageId, userId } = data;
+      const { messageId } = data;
+      const userId = currentUserId;
       
       const message = await Message.findById(messageId);
       if (!message) {
@@ -359,32 +817,28 @@ io.on("connection", (socket) => {
         return;
       }
 
-      // Mark message as deleted instead of actually deleting it
+      // Mark message as deleted instead of actually deleting it, dropping
+      // everything derived from the original text along with it
       message.text = "This message was deleted";
+      message.translations = [];
+      message.detectedLanguage = null;
       message.isDeleted = true;
       message.deletedAt = new Date();
       await message.save();
-
-      // Broadcast to both users
-      const targetSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id === message.receiverId.toString()
-      );
-      const senderSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id === message.senderId.toString()
-      );
+      await Correction.deleteMany({ message: message._id });
+      if (message.attachment) {
+        await removeAttachment(message.attachment);
+      }
 
       const deleteData = {
         messageId,
         deletedAt: message.deletedAt,
-        userId
+        userId,
+        updatedAt: message.updatedAt
       };
 
-      if (targetSocket) {
-        io.to(targetSocket[0]).emit("message:deleted", deleteData);
-      }
-      if (senderSocket) {
-        io.to(senderSocket[0]).emit("message:deleted", deleteData);
-      }
+      // Broadcast to both users
+      io.to(getParticipantRooms(message)).emit("message:deleted", deleteData);
 
     } catch (error) {
       console.error("Error deleting message:", error);
@@ -400,68 +854,80 @@ io.on("connection", (socket) => {
   socket.emit("me", socket.id);
 
   // Video call invitation (keep for chat integration)
-  socket.on("videoCallInvitation", ({ targetUserId, callerName, meetingId, callUrl }) => {
+  socket.on("videoCallInvitation", async ({ targetUserId, meetingId, callUrl }) => {
     try {
-      console.log("📹 Video call invitation:", { targetUserId, callerName, meetingId });
-      
-      const targetSocket = Array.from(activeUsers.entries()).find(
-        ([_, user]) => user._id.toString() === targetUserId.toString()
-      );
+      const callerName = currentUser.fullName;
 
-      if (targetSocket) {
-        const [targetSocketId] = targetSocket;
-        io.to(targetSocketId).emit("videoCallInvitation", {
-          callerName,
-          meetingId,
-          callUrl
-        });
-        console.log(`✅ Video call invitation sent to ${targetSocket[1].fullName}`);
-      } else {
-        console.log("❌ Target user not found");
+      if (await User.isBlockedBetween(currentUserId, targetUserId)) {
+        socket.emit("error", { message: "You can't call this user" });
+        return;
       }
+
+      console.log("📹 Video call invitation:", { targetUserId, callerName, meetingId });
+      
+      // Ring every device the target user has open
+      io.to(getUserRoom(targetUserId.toString())).emit("videoCallInvitation", {
+        callerName,
+        meetingId,
+        callUrl
+      });
     } catch (error) {
       console.error("Error in videoCallInvitation:", error);
     }
   });
 
   // Handle simple room joining for video calls
-  socket.on("joinVideoCallRoom", ({ meetingId, socketId, userName, userId, nativeLanguage }) => {
+  socket.on("joinVideoCallRoom", async ({ meetingId }) => {
     try {
-      console.log("🏠 Joining video call room:", { meetingId, socketId, userName });
+      const userName = currentUser.fullName;
+      const nativeLanguage = currentUser.nativeLanguage;
+
+      // meeting ids are the sorted pair of participant ids, so only those two may join
+      const participantIds = String(meetingId).split("-");
+      if (!participantIds.includes(currentUserId)) {
+        socket.emit("error", { message: "You are not a participant of this call" });
+        return;
+      }
+
+      const otherUserId = participantIds.find((id) => id !== currentUserId);
+      if (otherUserId && (await User.isBlockedBetween(currentUserId, otherUserId))) {
+        socket.emit("error", { message: "You can't join a call with this user" });
+        return;
+      }
+
+      console.log("🏠 Joining video call room:", { meetingId, socketId: socket.id, userName });
       
+      // Store names and languages in socket.data, which other instances can read
+      socket.data.videoUserName = userName;
+      socket.data.videoNativeLanguage = nativeLanguage;
+      socket.data.callRoomId = meetingId;
+
       // Join the room
       socket.join(meetingId);
       
-      // Get room size
-      const roomSockets = io.sockets.adapter.rooms.get(meetingId);
-      const roomSize = roomSockets ? roomSockets.size : 0;
+      // Get room members, the other participant may be connected to another instance
+      const roomSockets = await io.in(meetingId).fetchSockets();
+      const roomSize = roomSockets.length;
       
       console.log("📊 Room", meetingId, "now has", roomSize, "people");
       
       if (roomSize === 1) {
         // First person - wait for other
-        socket.videoUserName = userName;
-        socket.videoNativeLanguage = nativeLanguage;
         socket.emit("roomRole", { 
           role: "waiter", 
           message: "Waiting for other participant..." 
         });
       } else if (roomSize === 2) {
         // Second person - you should call the first person
-        const firstPersonSocket = Array.from(roomSockets).find(id => id !== socket.id);
-        const firstSocket = io.sockets.sockets.get(firstPersonSocket);
-        
-        // Store names and languages on sockets for reference
-        socket.videoUserName = userName;
-        socket.videoNativeLanguage = nativeLanguage;
+        const firstSocket = roomSockets.find((roomSocket) => roomSocket.id !== socket.id);
         
         if (firstSocket) {
           // Tell second person to call first person (with first person's info)
           socket.emit("roomRole", { 
             role: "caller", 
-            otherSocketId: firstPersonSocket,
-            otherUserName: firstSocket.videoUserName || "Other participant",
-            otherUserLanguage: firstSocket.videoNativeLanguage || 'en-US',
+            otherSocketId: firstSocket.id,
+            otherUserName: firstSocket.data.videoUserName || "Other participant",
+            otherUserLanguage: firstSocket.data.videoNativeLanguage || 'en-US',
             message: "Ready to start call" 
           });
           
@@ -479,14 +945,38 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Call signals are addressed to socket ids; only relay them when that socket
+  // belongs to a friend and neither side has blocked the other
+  const canSignalSocket = async (targetSocketId) => {
+    if (typeof targetSocketId !== "string" || !targetSocketId) return false;
+
+    const [targetSocket] = await io.in(targetSocketId).fetchSockets();
+    const targetUserId = targetSocket?.data.user?._id?.toString();
+    if (!targetUserId || targetUserId === currentUserId) return false;
+
+    const isFriend = await User.exists({ _id: currentUserId, friends: targetUserId });
+    if (!isFriend) return false;
+
+    return !(await User.isBlockedBetween(currentUserId, targetUserId));
+  };
+
   // Handle call user (exact match to GitHub implementation)
-  socket.on("callUser", (data) => {
+  socket.on("callUser", async (data) => {
     try {
-      console.log("📞 CallUser:", data);
+      console.log("📞 CallUser:", socket.id, "->", data?.userToCall);
+
+      if (!(await canSignalSocket(data?.userToCall))) {
+        socket.emit("error", { message: "You can't call this user" });
+        return;
+      }
+
+      // Remember the other party so callEnded only reaches them
+      socket.data.callPeerId = data.userToCall;
+
       io.to(data.userToCall).emit("callUser", {
         signal: data.signalData,
-        from: data.from,
-        name: data.name
+        from: socket.id,
+        name: currentUser.fullName
       });
     } catch (error) {
       console.error("Error in callUser:", error);
@@ -494,9 +984,16 @@ io.on("connection", (socket) => {
   });
 
   // Handle answer call (exact match to GitHub implementation)
-  socket.on("answerCall", (data) => {
+  socket.on("answerCall", async (data) => {
     try {
-      console.log("✅ AnswerCall:", data);
+      console.log("✅ AnswerCall:", socket.id, "->", data?.to);
+
+      if (!(await canSignalSocket(data?.to))) {
+        socket.emit("error", { message: "You can't answer this call" });
+        return;
+      }
+
+      socket.data.callPeerId = data.to;
       io.to(data.to).emit("callAccepted", data.signal);
     } catch (error) {
       console.error("Error in answerCall:", error);
@@ -507,27 +1004,23 @@ io.on("connection", (socket) => {
   socket.on("callEnded", () => {
     try {
       console.log("📞 CallEnded from:", socket.id);
-      socket.broadcast.emit("callEnded");
+
+      // Only the other party hears about it: the socket this one signalled, or
+      // whoever shares its call room if the call was never answered
+      const peerTargets = [socket.data.callPeerId, socket.data.callRoomId].filter(Boolean);
+      if (peerTargets.length > 0) {
+        socket.to(peerTargets).emit("callEnded");
+      }
+      socket.data.callPeerId = null;
     } catch (error) {
       console.error("Error in callEnded:", error);
     }
   });
 
   // Disconnection handling
-  socket.on("disconnect", () => {
+  socket.on("disconnect", async () => {
     try {
-      const user = activeUsers.get(socket.id);
-      if (user) {
-        console.log(`User ${user.fullName} disconnected`);
-        
-        // Broadcast user offline status
-        socket.broadcast.emit("user:offline", {
-          userId: user._id,
-          socketId: socket.id,
-        });
-        
-        activeUsers.delete(socket.id);
-      }
+      console.log(`User ${currentUser.fullName} disconnected`);
 
       // Handle video call room disconnection
       if (socket.roomId) {
@@ -540,6 +1033,16 @@ io.on("connection", (socket) => {
           userId: socket.userId
         });
       }
+
+      const presenceChange = await disconnectSocket(currentUserId, socket.id);
+      await notifyFriendsOfPresence(presenceChange);
+
+      // Once their last device is gone, clear any typing indicators this user left behind
+      if (presenceChange.status === "offline") {
+        Array.from(typingTimers.keys())
+          .filter((key) => key.startsWith(`${currentUserId}:`))
+          .forEach((key) => stopTyping(currentUserId, key.split(":")[1]));
+      }
     } catch (error) {
       console.error("Error in disconnect:", error);
     }
@@ -551,4 +1054,5 @@ server.listen(PORT, () => {
   console.log(`Socket.io server initialized`);
 
   connectDB();
+  startAttachmentCleanup();
 });
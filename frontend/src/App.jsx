@@ -4,6 +4,9 @@ import HomePage from "./pages/HomePage.jsx";
 import SignUpPage from "./pages/SignUpPage.jsx";
 import LoginPage from "./pages/LoginPage.jsx";
 import NotificationsPage from "./pages/NotificationsPage.jsx";
+import CorrectionsPage from "./pages/CorrectionsPage.jsx";
+import NotebookPage from "./pages/NotebookPage.jsx";
+import ReviewPage from "./pages/ReviewPage.jsx";
 import VideoCall from "./components/VideoCall.jsx";
 import ChatPageNew from "./pages/ChatPageNew.jsx";
 import TestPage from "./pages/TestPage.jsx";
@@ -13,6 +16,7 @@ import { Toaster } from "react-hot-toast";
 
 import PageLoader from "./components/PageLoader.jsx";
 import useAuthUser from "./hooks/useAuthUser.js";
+import useSocketPresence from "./hooks/useSocketPresence.js";
 import Layout from "./components/Layout.jsx";
 import { useThemeStore } from "./store/useThemeStore.js";
 
@@ -23,6 +27,8 @@ const App = () => {
   const isAuthenticated = Boolean(authUser);
   const isOnboarded = authUser?.isOnboarded;
 
+  useSocketPresence(isAuthenticated && isOnboarded ? authUser._id : null);
+
   if (isLoading) return <PageLoader />;
 
   return (
@@ -64,6 +70,42 @@ const App = () => {
             )
           }
         />
+        <Route
+          path="/corrections"
+          element={
+            isAuthenticated && isOnboarded ? (
+              <Layout showSidebar={true}>
+                <CorrectionsPage />
+              </Layout>
+            ) : (
+              <Navigate to={!isAuthenticated ? "/login" : "/onboarding"} />
+            )
+          }
+        />
+        <Route
+          path="/notebook"
+          element={
+            isAuthenticated && isOnboarded ? (
+              <Layout showSidebar={true}>
+                <NotebookPage />
+              </Layout>
+            ) : (
+              <Navigate to={!isAuthenticated ? "/login" : "/onboarding"} />
+            )
+          }
+        />
+        <Route
+          path="/review"
+          element={
+            isAuthenticated && isOnboarded ? (
+              <Layout showSidebar={true}>
+                <ReviewPage />
+              </Layout>
+            ) : (
+              <Navigate to={!isAuthenticated ? "/login" : "/onboarding"} />
+            )
+          }
+        />
         <Route
           path="/call/:meetingId"
           element={
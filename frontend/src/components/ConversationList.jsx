@@ -0,0 +1,109 @@
+import { useEffect } from "react";
+import { useInfiniteQuery, useQueryClient } from "@tanstack/react-query";
+import { Link, useLocation } from "react-router";
+import { getConversations } from "../lib/api";
+import socketService from "../lib/socket";
+import useAuthUser from "../hooks/useAuthUser";
+
+const formatPreviewTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const isToday = date.toDateString() === new Date().toDateString();
+
+  return isToday
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+const ConversationList = () => {
+  const { authUser } = useAuthUser();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ["conversations"],
+    queryFn: ({ pageParam }) => getConversations({ before: pageParam || undefined }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.nextCursor : undefined),
+    refetchInterval: 30000, // keep unread counts fresh outside the chat page
+  });
+
+  const conversations = data?.pages.flatMap((page) => page.conversations) || [];
+
+  // Messages missed while offline change previews and unread badges right away
+  useEffect(
+    () =>
+      socketService.onSync(({ messages }) => {
+        if (messages.length > 0) queryClient.invalidateQueries({ queryKey: ["conversations"] });
+      }),
+    [queryClient]
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <span className="loading loading-spinner loading-sm" />
+      </div>
+    );
+  }
+
+  if (conversations.length === 0) {
+    return <p className="text-xs opacity-60 px-3 py-2">No conversations yet</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      {conversations.map(({ conversationId, partner, lastMessage, unreadCount }) => {
+        const isMine = lastMessage.senderId === authUser?._id;
+        const isActive = location.pathname === `/chat/${partner._id}`;
+
+        return (
+          <Link
+            key={conversationId}
+            to={`/chat/${partner._id}`}
+            className={`flex items-center gap-3 rounded-lg px-3 py-2 hover:bg-base-300 ${
+              isActive ? "bg-base-300" : ""
+            }`}
+          >
+            <div className="avatar">
+              <div className="w-9 rounded-full">
+                <img src={partner.profilePic} alt={partner.fullName} />
+              </div>
+            </div>
+
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between gap-2">
+                <p className={`text-sm truncate ${unreadCount > 0 ? "font-semibold" : ""}`}>
+                  {partner.fullName}
+                </p>
+                <span className="text-[10px] opacity-60 flex-shrink-0">
+                  {formatPreviewTime(lastMessage.timestamp)}
+                </span>
+              </div>
+              <div className="flex items-center justify-between gap-2">
+                <p className={`text-xs truncate ${lastMessage.isDeleted ? "italic" : ""} opacity-70`}>
+                  {isMine && "You: "}
+                  {lastMessage.text}
+                </p>
+                {unreadCount > 0 && (
+                  <span className="badge badge-primary badge-xs flex-shrink-0">{unreadCount}</span>
+                )}
+              </div>
+            </div>
+          </Link>
+        );
+      })}
+
+      {hasNextPage && (
+        <button
+          className="btn btn-ghost btn-xs w-full"
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+        >
+          {isFetchingNextPage ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConversationList;
@@ -0,0 +1,29 @@
+import { diffWords } from "../lib/diff";
+
+// Original vs corrected text as one line: removed words struck through, new words highlighted
+const CorrectionDiff = ({ originalText, correctedText, explanation }) => {
+  const parts = diffWords(originalText, correctedText);
+
+  return (
+    <div className="text-sm">
+      <p className="whitespace-pre-wrap">
+        {parts.map((part, index) =>
+          part.type === "removed" ? (
+            <del key={index} className="text-red-600 bg-red-50">
+              {part.text}
+            </del>
+          ) : part.type === "added" ? (
+            <ins key={index} className="text-green-700 bg-green-50 no-underline font-medium">
+              {part.text}
+            </ins>
+          ) : (
+            <span key={index}>{part.text}</span>
+          )
+        )}
+      </p>
+      {explanation && <p className="text-xs text-gray-500 mt-1 italic">{explanation}</p>}
+    </div>
+  );
+};
+
+export default CorrectionDiff;
@@ -1,25 +1,105 @@
 import { Link } from "react-router";
-import { LANGUAGE_TO_FLAG } from "../constants";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { BanIcon, EllipsisVerticalIcon, UserMinusIcon } from "lucide-react";
+import { blockUser, removeFriend } from "../lib/api";
+import LanguageFlag from "./LanguageFlag";
+import { formatLastSeen } from "../lib/utils";
+
+const PRESENCE_LABELS = { online: "Online", away: "Away" };
+const PRESENCE_DOTS = { online: "bg-success", away: "bg-warning" };
+
+const FriendCard = ({ friend, presence }) => {
+  const queryClient = useQueryClient();
+
+  const invalidateFriendQueries = () => {
+    queryClient.invalidateQueries({ queryKey: ["friends"] });
+    queryClient.invalidateQueries({ queryKey: ["friendsPresence"] });
+    queryClient.invalidateQueries({ queryKey: ["users"] });
+    queryClient.invalidateQueries({ queryKey: ["blockedUsers"] });
+  };
+
+  const { mutate: removeFriendMutation, isPending: isRemoving } = useMutation({
+    mutationFn: removeFriend,
+    onSuccess: invalidateFriendQueries,
+  });
+
+  const { mutate: blockUserMutation, isPending: isBlocking } = useMutation({
+    mutationFn: blockUser,
+    onSuccess: invalidateFriendQueries,
+  });
+
+  const handleRemoveFriend = () => {
+    if (window.confirm(`Remove ${friend.fullName} from your friends?`)) {
+      removeFriendMutation(friend._id);
+    }
+  };
+
+  const handleBlockUser = () => {
+    if (window.confirm(`Block ${friend.fullName}? They won't be able to message or call you.`)) {
+      blockUserMutation(friend._id);
+    }
+  };
 
-const FriendCard = ({ friend }) => {
   return (
     <div className="card bg-base-200 hover:shadow-md transition-shadow">
       <div className="card-body p-4">
         {/* USER INFO */}
         <div className="flex items-center gap-3 mb-3">
-          <div className="avatar size-12">
+          <div className="avatar size-12 relative">
             <img src={friend.profilePic} alt={friend.fullName} />
+            {PRESENCE_DOTS[presence?.status] && (
+              <span
+                className={`absolute bottom-0 right-0 size-3 rounded-full ring-2 ring-base-200 ${
+                  PRESENCE_DOTS[presence.status]
+                }`}
+              />
+            )}
+          </div>
+          <div className="flex-1 min-w-0">
+            <h3 className="font-semibold truncate">{friend.fullName}</h3>
+            {presence && (
+              <p className="text-xs opacity-70 truncate">
+                {PRESENCE_LABELS[presence.status] || formatLastSeen(presence.lastSeenAt)}
+              </p>
+            )}
+          </div>
+
+          {/* FRIEND ACTIONS */}
+          <div className="dropdown dropdown-end">
+            <button tabIndex={0} className="btn btn-ghost btn-sm btn-circle">
+              <EllipsisVerticalIcon className="size-4" />
+            </button>
+            <ul
+              tabIndex={0}
+              className="dropdown-content menu bg-base-100 rounded-box shadow-lg z-10 w-40 p-2"
+            >
+              <li>
+                <button onClick={handleRemoveFriend} disabled={isRemoving || isBlocking}>
+                  <UserMinusIcon className="size-4" />
+                  Unfriend
+                </button>
+              </li>
+              <li>
+                <button
+                  className="text-error"
+                  onClick={handleBlockUser}
+                  disabled={isRemoving || isBlocking}
+                >
+                  <BanIcon className="size-4" />
+                  Block
+                </button>
+              </li>
+            </ul>
           </div>
-          <h3 className="font-semibold truncate">{friend.fullName}</h3>
         </div>
 
         <div className="flex flex-wrap gap-1.5 mb-3">
           <span className="badge badge-secondary text-xs">
-            {getLanguageFlag(friend.nativeLanguage)}
+            <LanguageFlag language={friend.nativeLanguage} />
             Native: {friend.nativeLanguage}
           </span>
           <span className="badge badge-outline text-xs">
-            {getLanguageFlag(friend.learningLanguage)}
+            <LanguageFlag language={friend.learningLanguage} />
             Learning: {friend.learningLanguage}
           </span>
         </div>
@@ -33,20 +113,3 @@ const FriendCard = ({ friend }) => {
 };
 export default FriendCard;
 
-export function getLanguageFlag(language) {
-  if (!language) return null;
-
-  const langLower = language.toLowerCase();
-  const countryCode = LANGUAGE_TO_FLAG[langLower];
-
-  if (countryCode) {
-    return (
-      <img
-        src={`https://flagcdn.com/24x18/${countryCode}.png`}
-        alt={`${langLower} flag`}
-        className="h-3 mr-1 inline-block"
-      />
-    );
-  }
-  return null;
-}
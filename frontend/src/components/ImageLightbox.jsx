@@ -0,0 +1,45 @@
+import { useEffect } from "react";
+import { DownloadIcon, XIcon } from "lucide-react";
+
+const ImageLightbox = ({ src, alt, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div className="absolute top-4 right-4 flex gap-2">
+        <a
+          href={src}
+          download={alt}
+          className="btn btn-circle btn-sm"
+          title="Download"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <DownloadIcon className="size-4" />
+        </a>
+        <button className="btn btn-circle btn-sm" onClick={onClose} title="Close">
+          <XIcon className="size-4" />
+        </button>
+      </div>
+
+      {/* The full-size file is only requested once the lightbox opens */}
+      <img
+        src={src}
+        alt={alt}
+        className="max-w-full max-h-full object-contain rounded-lg"
+        onClick={(e) => e.stopPropagation()}
+      />
+    </div>
+  );
+};
+
+export default ImageLightbox;
@@ -0,0 +1,19 @@
+import useLanguages from "../hooks/useLanguages";
+import { getLanguageById } from "../lib/languages";
+
+const LanguageFlag = ({ language }) => {
+  const { languages } = useLanguages();
+  const countryCode = getLanguageById(languages, language)?.countryCode;
+
+  if (!countryCode) return null;
+
+  return (
+    <img
+      src={`https://flagcdn.com/24x18/${countryCode}.png`}
+      alt={`${language.toLowerCase()} flag`}
+      className="h-3 mr-1 inline-block"
+    />
+  );
+};
+
+export default LanguageFlag;
@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { BookmarkPlusIcon, CheckIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import { createVocabularyItem } from "../lib/api";
+import { parseTags } from "../lib/tags";
+
+// Button that opens a small form to keep a translated word or phrase.
+// The term starts as the whole original so the learner can trim it down to what they want.
+const SaveToNotebook = ({ term, translation, fromLanguage, toLanguage, source }) => {
+  const queryClient = useQueryClient();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSaved, setIsSaved] = useState(false);
+  const [form, setForm] = useState({ term: "", translation: "", tags: "" });
+
+  const { mutate: saveItem, isPending } = useMutation({
+    mutationFn: createVocabularyItem,
+    onSuccess: () => {
+      toast.success("Saved to your notebook");
+      setIsOpen(false);
+      setIsSaved(true);
+      queryClient.invalidateQueries({ queryKey: ["vocabulary"] });
+      queryClient.invalidateQueries({ queryKey: ["vocabularyTags"] });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "Failed to save");
+    },
+  });
+
+  const open = (e) => {
+    e.stopPropagation();
+    setForm({ term, translation, tags: "" });
+    setIsOpen(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.term.trim()) return;
+
+    saveItem({
+      term: form.term,
+      translation: form.translation,
+      fromLanguage: fromLanguage && fromLanguage !== "auto" ? fromLanguage : null,
+      toLanguage,
+      tags: parseTags(form.tags),
+      source,
+    });
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={open}
+        className="btn btn-xs gap-1"
+        title="Save to notebook"
+      >
+        {isSaved ? <CheckIcon className="size-3" /> : <BookmarkPlusIcon className="size-3" />}
+        {isSaved ? "Saved" : "Save to notebook"}
+      </button>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onClick={(e) => e.stopPropagation()}
+      className="space-y-2 p-2 rounded-lg bg-base-200 text-base-content"
+    >
+      <input
+        type="text"
+        value={form.term}
+        onChange={(e) => setForm({ ...form, term: e.target.value })}
+        className="input input-bordered input-sm w-full"
+        placeholder="Word or phrase"
+        maxLength={200}
+        autoFocus
+      />
+      <input
+        type="text"
+        value={form.translation}
+        onChange={(e) => setForm({ ...form, translation: e.target.value })}
+        className="input input-bordered input-sm w-full"
+        placeholder="Meaning"
+        maxLength={1000}
+      />
+      <input
+        type="text"
+        value={form.tags}
+        onChange={(e) => setForm({ ...form, tags: e.target.value })}
+        className="input input-bordered input-sm w-full"
+        placeholder="Tags, comma separated"
+      />
+      <div className="flex gap-1 justify-end">
+        <button type="button" onClick={() => setIsOpen(false)} className="btn btn-xs btn-ghost">
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-xs btn-primary" disabled={isPending}>
+          {isPending ? "Saving..." : "Save"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SaveToNotebook;
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { FileIcon, ImageIcon, XIcon } from "lucide-react";
+import { getAttachmentThumbnailUrl, getAttachmentUrl, getConversationMedia } from "../lib/api";
+
+const SharedMediaPanel = ({ targetUserId, onClose, onOpenImage }) => {
+  const [kind, setKind] = useState("image");
+
+  const { data, isLoading, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ["conversationMedia", targetUserId, kind],
+    queryFn: ({ pageParam }) =>
+      getConversationMedia(targetUserId, { kind, before: pageParam || undefined }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.nextCursor : undefined),
+  });
+
+  const items = data?.pages.flatMap((page) => page.messages) || [];
+
+  return (
+    <div className="absolute top-0 right-0 h-full w-80 bg-white border-l border-gray-200 shadow-xl z-20 flex flex-col">
+      <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800">Shared media</h3>
+        <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle" title="Close">
+          <XIcon className="size-4" />
+        </button>
+      </div>
+
+      <div className="tabs tabs-boxed m-3">
+        <button
+          className={`tab flex-1 gap-1 ${kind === "image" ? "tab-active" : ""}`}
+          onClick={() => setKind("image")}
+        >
+          <ImageIcon className="size-4" />
+          Images
+        </button>
+        <button
+          className={`tab flex-1 gap-1 ${kind === "file" ? "tab-active" : ""}`}
+          onClick={() => setKind("file")}
+        >
+          <FileIcon className="size-4" />
+          Files
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-3 pb-3">
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <span className="loading loading-spinner loading-md" />
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-8">
+            No {kind === "image" ? "images" : "files"} shared yet
+          </p>
+        ) : kind === "image" ? (
+          <div className="grid grid-cols-3 gap-2">
+            {items.map((item) => (
+              <button
+                key={item._id}
+                className="aspect-square overflow-hidden rounded bg-gray-100"
+                onClick={() =>
+                  onOpenImage({ url: getAttachmentUrl(item.attachmentId), name: item.fileName })
+                }
+              >
+                <img
+                  src={
+                    item.hasThumbnail
+                      ? getAttachmentThumbnailUrl(item.attachmentId)
+                      : getAttachmentUrl(item.attachmentId)
+                  }
+                  alt={item.fileName}
+                  loading="lazy"
+                  className="w-full h-full object-cover"
+                />
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {items.map((item) => (
+              <a
+                key={item._id}
+                href={getAttachmentUrl(item.attachmentId)}
+                download={item.fileName}
+                className="flex items-center gap-2 p-2 rounded hover:bg-gray-50"
+              >
+                <FileIcon className="size-5 text-gray-500 shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-800 truncate">{item.fileName}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.fileSize ? `${(item.fileSize / 1024 / 1024).toFixed(2)} MB` : ""}
+                    {" · "}
+                    {new Date(item.timestamp).toLocaleDateString()}
+                  </p>
+                </div>
+              </a>
+            ))}
+          </div>
+        )}
+
+        {hasNextPage && (
+          <div className="flex justify-center mt-3">
+            <button
+              className="btn btn-outline btn-sm"
+              onClick={() => fetchNextPage()}
+              disabled={isFetchingNextPage}
+            >
+              {isFetchingNextPage ? "Loading..." : "Load more"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedMediaPanel;
@@ -1,6 +1,15 @@
 import { Link, useLocation } from "react-router";
 import useAuthUser from "../hooks/useAuthUser";
-import { BellIcon, HomeIcon, ShipWheelIcon, UsersIcon } from "lucide-react";
+import {
+  BellIcon,
+  BookOpenIcon,
+  HomeIcon,
+  MessageSquareIcon,
+  PencilLineIcon,
+  ShipWheelIcon,
+  UsersIcon,
+} from "lucide-react";
+import ConversationList from "./ConversationList";
 
 const Sidebar = () => {
   const { authUser } = useAuthUser();
@@ -18,7 +27,7 @@ const Sidebar = () => {
         </Link>
       </div>
 
-      <nav className="flex-1 p-4 space-y-1">
+      <nav className="p-4 space-y-1">
         <Link
           to="/"
           className={`btn btn-ghost justify-start w-full gap-3 px-3 normal-case ${
@@ -48,8 +57,37 @@ const Sidebar = () => {
           <BellIcon className="size-5 text-base-content opacity-70" />
           <span>Notifications</span>
         </Link>
+
+        <Link
+          to="/corrections"
+          className={`btn btn-ghost justify-start w-full gap-3 px-3 normal-case ${
+            currentPath === "/corrections" ? "btn-active" : ""
+          }`}
+        >
+          <PencilLineIcon className="size-5 text-base-content opacity-70" />
+          <span>Corrections</span>
+        </Link>
+
+        <Link
+          to="/notebook"
+          className={`btn btn-ghost justify-start w-full gap-3 px-3 normal-case ${
+            currentPath === "/notebook" ? "btn-active" : ""
+          }`}
+        >
+          <BookOpenIcon className="size-5 text-base-content opacity-70" />
+          <span>Notebook</span>
+        </Link>
       </nav>
 
+      {/* INBOX */}
+      <div className="flex-1 overflow-y-auto px-4 pb-4">
+        <h3 className="flex items-center gap-2 px-3 mb-2 text-xs font-semibold uppercase opacity-60">
+          <MessageSquareIcon className="size-4" />
+          Messages
+        </h3>
+        <ConversationList />
+      </div>
+
       {/* USER PROFILE SECTION */}
       <div className="p-4 border-t border-base-300 mt-auto">
         <div className="flex items-center gap-3">
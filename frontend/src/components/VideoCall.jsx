@@ -4,11 +4,19 @@ import { io } from 'socket.io-client';
 import Peer from 'simple-peer';
 import toast from 'react-hot-toast';
 import useAuthUser from '../hooks/useAuthUser';
+import useLanguages from '../hooks/useLanguages';
+import { translateText as requestTranslation } from '../lib/api';
+import { findLanguageByCode, getLanguageById } from '../lib/languages';
+import SaveToNotebook from './SaveToNotebook';
+
+// finished captions kept for translating and saving during a call
+const MAX_CAPTION_HISTORY = 50;
 
 const VideoCall = () => {
   const { meetingId } = useParams();
   const navigate = useNavigate();
   const { authUser } = useAuthUser();
+  const { languages } = useLanguages();
   
   // Refs
   const socketRef = useRef();
@@ -34,7 +42,8 @@ const VideoCall = () => {
   // Caption and translation states
   const [captionMode, setCaptionMode] = useState('off'); // 'off', 'self', 'remote'
   const [captionLanguage, setCaptionLanguage] = useState('en-US'); // Language for speech recognition
-  const [targetLanguage, setTargetLanguage] = useState('en-US'); // Will be set after mapLanguageToCode is defined
+  const [targetLanguage, setTargetLanguage] = useState('en'); // Language code captions are translated into
+  const [partnerLanguage, setPartnerLanguage] = useState(null); // Other participant's native language
   const [currentCaption, setCurrentCaption] = useState('');
   const [translatedCaption, setTranslatedCaption] = useState('');
   const [showTranslation, setShowTranslation] = useState(false);
@@ -52,40 +61,23 @@ const VideoCall = () => {
   const recognition = useRef(null);
   const autoTranslateRef = useRef(false);
   
-  // Languages (matching chat implementation)
-  const languages = [
-    { code: 'en-US', name: 'English (US)', flag: '🇺🇸' },
-    { code: 'en-GB', name: 'English (UK)', flag: '🇬🇧' },
-    { code: 'es-ES', name: 'Spanish', flag: '🇪🇸' },
-    { code: 'fr-FR', name: 'French', flag: '🇫🇷' },
-    { code: 'de-DE', name: 'German', flag: '🇩🇪' },
-    { code: 'it-IT', name: 'Italian', flag: '🇮🇹' },
-    { code: 'pt-BR', name: 'Portuguese', flag: '🇧🇷' },
-    { code: 'zh-CN', name: 'Chinese', flag: '🇨🇳' }
-  ];
-
-  // Map language names to codes
-  const mapLanguageToCode = (language) => {
-    const mapping = {
-      'english': 'en-US',
-      'spanish': 'es-ES', 
-      'french': 'fr-FR',
-      'german': 'de-DE',
-      'italian': 'it-IT',
-      'portuguese': 'pt-BR',
-      'chinese': 'zh-CN'
-    };
-    return mapping[language?.toLowerCase()] || language || 'en-US';
-  };
-
   // Set user's target language from their profile
   useEffect(() => {
-    if (authUser?.nativeLanguage) {
-      const mappedTargetLanguage = mapLanguageToCode(authUser.nativeLanguage);
-      setTargetLanguage(mappedTargetLanguage);
-      console.log(`🎯 My target language: ${authUser.nativeLanguage} (${mappedTargetLanguage})`);
+    const myLanguage = getLanguageById(languages, authUser?.nativeLanguage);
+    if (myLanguage) {
+      setTargetLanguage(myLanguage.code);
+      console.log(`🎯 My target language: ${myLanguage.name} (${myLanguage.code})`);
     }
-  }, [authUser]);
+  }, [authUser, languages]);
+
+  // Recognise captions in the other participant's language
+  useEffect(() => {
+    const theirLanguage = getLanguageById(languages, partnerLanguage);
+    if (theirLanguage) {
+      setCaptionLanguage(theirLanguage.locale);
+      console.log(`🌐 Caption language: ${theirLanguage.name} (${theirLanguage.locale})`);
+    }
+  }, [partnerLanguage, languages]);
 
   useEffect(() => {
     const initializeMedia = async () => {
@@ -229,18 +221,12 @@ const VideoCall = () => {
         ? "https://globalingo-e2yi.onrender.com" 
         : "http://localhost:5001");
     
-    const socket = io(SOCKET_URL);
+    const socket = io(SOCKET_URL, { withCredentials: true });
     socketRef.current = socket;
 
     socket.on("me", (id) => {
       setMe(id);
       console.log("My socket ID:", id);
-      
-      // Join the user context so backend can find us
-      if (authUser) {
-        console.log("🔗 Joining video call socket with user context:", authUser);
-        socket.emit("user:join", authUser);
-      }
     });
 
     socket.on("callUser", (data) => {
@@ -295,10 +281,6 @@ const VideoCall = () => {
     // Join the video call room
     socketRef.current.emit("joinVideoCallRoom", {
       meetingId: meetingId,
-      socketId: me,
-      userName: authUser.fullName,
-      userId: authUser._id,
-      nativeLanguage: authUser.nativeLanguage || 'en-US'
     });
 
     // Listen for room role assignment
@@ -313,10 +295,8 @@ const VideoCall = () => {
         setOtherPersonSocketId(otherSocketId);
         setRemoteName(otherUserName || "Other participant");
         
-        // Set translation: from other person's language TO my language
-        const mappedFromLanguage = mapLanguageToCode(otherUserLanguage);
-        setCaptionLanguage(mappedFromLanguage);
-        console.log(`🌐 Translation setup: ${otherUserLanguage} (${mappedFromLanguage}) → ${targetLanguage}`);
+        // Captions follow the other person's language
+        setPartnerLanguage(otherUserLanguage);
         
         // Auto-fill the input with a delay to ensure element exists
         setTimeout(() => {
@@ -336,10 +316,8 @@ const VideoCall = () => {
       console.log("⏳ Expecting call from:", userName, "Language:", userLanguage);
       setRemoteName(`Waiting for ${userName} to start the call...`);
       
-      // Set translation: from other person's language TO my language  
-      const mappedFromLanguage = mapLanguageToCode(userLanguage);
-      setCaptionLanguage(mappedFromLanguage);
-      console.log(`🌐 Translation setup: ${userLanguage} (${mappedFromLanguage}) → ${targetLanguage}`);
+      // Captions follow the other person's language
+      setPartnerLanguage(userLanguage);
     });
 
     return () => {
@@ -547,6 +525,11 @@ const VideoCall = () => {
           
           // Clear caption after final result
           if (finalTranscript.trim()) {
+            // keep finished sentences so they can be translated or saved later
+            setCaptionHistory(prev => [
+              ...prev.slice(-(MAX_CAPTION_HISTORY - 1)),
+              { id: `${Date.now()}-${prev.length}`, text: finalTranscript.trim(), timestamp: new Date() },
+            ]);
             
             setTimeout(() => {
               setCurrentCaption('');
@@ -650,7 +633,7 @@ const VideoCall = () => {
         recognition.current.lang = captionLanguage;
         try {
           recognition.current.start();
-          toast.success(`Self captions started in ${languages.find(l => l.code === captionLanguage)?.name}`);
+          toast.success(`Self captions started in ${findLanguageByCode(languages, captionLanguage)?.name}`);
         } catch (error) {
           console.error('Failed to start recognition:', error);
           toast.error('Failed to start self captions');
@@ -689,29 +672,21 @@ const VideoCall = () => {
 
   const translateText = async (text) => {
     try {
-      const sourceLanguage = captionLanguage.split('-')[0]; // Convert 'en-US' to 'en'
-      const targetLang = targetLanguage.split('-')[0]; // Convert 'es-ES' to 'es'
-      
-      const response = await fetch(
-        `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLanguage}|${targetLang}`
-      );
-      const data = await response.json();
-      
-      if (data.responseStatus === 200) {
-        const translatedText = data.responseData.translatedText;
-        setTranslatedCaption(translatedText);
-        setShowTranslation(true);
-        console.log('🌍 Auto-translation:', translatedText);
-      } else {
-        console.error('Translation API error:', data);
-      }
+      const { translatedText } = await requestTranslation({
+        text,
+        from: 'auto',
+        to: targetLanguage,
+      });
+
+      setTranslatedCaption(translatedText);
+      setShowTranslation(true);
+      console.log('🌍 Auto-translation:', translatedText);
     } catch (error) {
       console.error('Auto-translation error:', error);
       // Don't show toast for auto-translation errors to avoid spam
     }
   };
 
-
   const translateCurrentCaption = async () => {
     if (!currentCaption.trim()) {
       toast.error('No caption to translate');
@@ -719,25 +694,19 @@ const VideoCall = () => {
     }
 
     try {
-      console.log(`Translating "${currentCaption}" from ${captionLanguage} to ${targetLanguage}`);
-      
-      const sourceLanguage = captionLanguage.split('-')[0]; // Convert 'en-US' to 'en'
-      const targetLang = targetLanguage.split('-')[0]; // Convert 'es-ES' to 'es'
-      
-      const response = await fetch(
-        `https://api.mymemory.translated.net/get?q=${encodeURIComponent(currentCaption)}&langpair=${sourceLanguage}|${targetLang}`
-      );
-      const data = await response.json();
+      console.log(`Translating "${currentCaption}" to ${targetLanguage}`);
       
-      if (data.responseStatus === 200) {
-        const translatedText = data.responseData.translatedText;
-        setTranslatedCaption(translatedText);
-        setShowTranslation(true);
-        toast.success('Caption translated!');
-        console.log('✅ Translation successful:', translatedText);
-      } else {
-        throw new Error("Translation API returned error");
-      }
+      // The source is detected on the server, speakers often mix languages
+      const { translatedText } = await requestTranslation({
+        text: currentCaption,
+        from: 'auto',
+        to: targetLanguage,
+      });
+
+      setTranslatedCaption(translatedText);
+      setShowTranslation(true);
+      toast.success('Caption translated!');
+      console.log('✅ Translation successful:', translatedText);
     } catch (error) {
       console.error('Translation error:', error);
       toast.error('Translation failed');
@@ -746,30 +715,25 @@ const VideoCall = () => {
 
   const translateCaption = async (caption) => {
     try {
-      console.log(`Translating "${caption.text}" from ${caption.language} to ${targetLanguage}`);
+      console.log(`Translating "${caption.text}" to ${targetLanguage}`);
       
-      const response = await fetch(
-        `https://api.mymemory.translated.net/get?q=${encodeURIComponent(caption.text)}&langpair=${caption.language}|${targetLanguage}`
+      const { translatedText } = await requestTranslation({
+        text: caption.text,
+        from: 'auto',
+        to: targetLanguage,
+      });
+
+      // Update the caption in history
+      setCaptionHistory(prev => 
+        prev.map(c => 
+          c.id === caption.id 
+            ? { ...c, translatedText, translated: true }
+            : c
+        )
       );
-      const data = await response.json();
       
-      if (data.responseStatus === 200) {
-        const translatedText = data.responseData.translatedText;
-        
-        // Update the caption in history
-        setCaptionHistory(prev => 
-          prev.map(c => 
-            c.id === caption.id 
-              ? { ...c, translatedText, translated: true }
-              : c
-          )
-        );
-        
-        toast.success('Caption translated!');
-        console.log('✅ Translation successful:', translatedText);
-      } else {
-        throw new Error("Translation API returned error");
-      }
+      toast.success('Caption translated!');
+      console.log('✅ Translation successful:', translatedText);
     } catch (error) {
       console.error('Translation error:', error);
       toast.error('Translation failed');
@@ -804,7 +768,7 @@ const VideoCall = () => {
                 }`}></div>
                 <span>
                   {captionMode === 'self' ? '🎤 Self' : '👥 Remote'} captions 
-                  {isListening ? ` - ${languages.find(l => l.code === captionLanguage)?.name}` : ' ready'}
+                  {isListening ? ` - ${findLanguageByCode(languages, captionLanguage)?.name}` : ' ready'}
                 </span>
               </div>
             )}
@@ -881,7 +845,7 @@ const VideoCall = () => {
                         className="w-full bg-gray-700 text-white px-3 py-2 rounded text-sm"
                       >
                         {languages.map(lang => (
-                          <option key={lang.code} value={lang.code}>
+                          <option key={lang.id} value={lang.locale}>
                             {lang.flag} {lang.name}
                           </option>
                         ))}
@@ -898,7 +862,7 @@ const VideoCall = () => {
                         className="w-full bg-gray-700 text-white px-3 py-2 rounded text-sm"
                       >
                         {languages.map(lang => (
-                          <option key={lang.code} value={lang.code}>
+                          <option key={lang.id} value={lang.code}>
                             {lang.flag} {lang.name}
                           </option>
                         ))}
@@ -1219,6 +1183,46 @@ const VideoCall = () => {
           </button>
         </div>
 
+        {/* Caption History */}
+        {captionHistory.length > 0 && (
+          <div className="mt-8 max-w-3xl mx-auto bg-gray-800 rounded-lg p-4">
+            <h3 className="text-lg font-semibold mb-3">📝 Caption History</h3>
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {[...captionHistory].reverse().map(caption => (
+                <div key={caption.id} className="bg-gray-700 rounded-lg p-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="flex-1">
+                      <p className="text-sm">{caption.text}</p>
+                      {caption.translated && (
+                        <p className="text-sm text-green-300 mt-1">→ {caption.translatedText}</p>
+                      )}
+                    </div>
+                    <span className="text-xs text-gray-400">{caption.timestamp.toLocaleTimeString()}</span>
+                  </div>
+                  <div className="mt-2 flex gap-2">
+                    {caption.translated ? (
+                      <SaveToNotebook
+                        term={caption.text}
+                        translation={caption.translatedText}
+                        fromLanguage={findLanguageByCode(languages, captionLanguage)?.code}
+                        toLanguage={targetLanguage}
+                        source={{ kind: 'call', context: caption.text }}
+                      />
+                    ) : (
+                      <button
+                        onClick={() => translateCaption(caption)}
+                        className="text-xs px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white transition-colors"
+                      >
+                        🌍 Translate
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Debug Info */}
         <div className="mt-8 text-center text-sm text-gray-500 space-y-2">
           <div>My Socket ID: {me}</div>
@@ -1234,7 +1238,7 @@ const VideoCall = () => {
             History: {captionHistory.length}
           </div>
           <div>
-            Caption Language: {languages.find(l => l.code === captionLanguage)?.flag} {languages.find(l => l.code === captionLanguage)?.name} → Translate to: {languages.find(l => l.code === targetLanguage)?.flag} {languages.find(l => l.code === targetLanguage)?.name}
+            Caption Language: {findLanguageByCode(languages, captionLanguage)?.flag} {findLanguageByCode(languages, captionLanguage)?.name} → Translate to: {findLanguageByCode(languages, targetLanguage)?.flag} {findLanguageByCode(languages, targetLanguage)?.name}
           </div>
           <div>Call Status: {callAccepted ? 'Connected' : receivingCall ? 'Receiving' : 'Ready'}</div>
           <div>Call Ended: {callEnded ? 'Yes' : 'No'}</div>
@@ -18,6 +18,7 @@ const VideoCallNew = () => {
   const localVideoRef = useRef();
   const remoteVideoRef = useRef();
   const peerConnection = useRef();
+  const socketUnsubscribers = useRef([]);
   
   // STUN servers for NAT traversal
   const servers = {
@@ -58,10 +59,7 @@ const VideoCallNew = () => {
       // 3. Connect socket if not already connected
       if (!socketService.isConnected()) {
         console.log("🔗 Connecting to socket...");
-        await socketService.connect({
-          userId: authUser._id,
-          fullName: authUser.fullName
-        });
+        await socketService.connect();
       }
       
       setIsConnected(socketService.isConnected());
@@ -139,9 +137,11 @@ const VideoCallNew = () => {
 
   const setupSocketListeners = () => {
     console.log("👂 Setting up socket listeners...");
+    const listen = (event, handler) =>
+      socketUnsubscribers.current.push(socketService.on(event, handler));
     
     // User joined room
-    socketService.on('user-joined', async (data) => {
+    listen('user-joined', async (data) => {
       console.log('👤 User joined:', data.userName);
       toast.success(`${data.userName} joined`);
       
@@ -150,19 +150,19 @@ const VideoCallNew = () => {
     });
     
     // Receive offer
-    socketService.on('offer', async (data) => {
+    listen('offer', async (data) => {
       console.log('📨 Received offer');
       await handleOffer(data.offer);
     });
     
     // Receive answer
-    socketService.on('answer', async (data) => {
+    listen('answer', async (data) => {
       console.log('📨 Received answer');
       await handleAnswer(data.answer);
     });
     
     // Receive ICE candidate
-    socketService.on('ice-candidate', async (data) => {
+    listen('ice-candidate', async (data) => {
       console.log('🧊 Received ICE candidate');
       try {
         await peerConnection.current.addIceCandidate(data.candidate);
@@ -172,7 +172,7 @@ const VideoCallNew = () => {
     });
     
     // User left
-    socketService.on('user-left', (data) => {
+    listen('user-left', (data) => {
       console.log('👋 User left:', data.userName);
       toast.success(`${data.userName} left the call`);
       setRemoteStream(null);
@@ -263,7 +263,9 @@ const VideoCallNew = () => {
       peerConnection.current.close();
     }
     
-    // Don't disconnect the shared socket service
+    // Don't disconnect the shared socket service, only drop this call's listeners
+    socketUnsubscribers.current.forEach((unsubscribe) => unsubscribe());
+    socketUnsubscribers.current = [];
     
     setLocalStream(null);
     setRemoteStream(null);
@@ -0,0 +1,105 @@
+import { useRef, useState } from "react";
+import { PauseIcon, PlayIcon } from "lucide-react";
+
+// Slower speeds help when practising pronunciation
+const PLAYBACK_RATES = [1, 1.25, 1.5, 0.5, 0.75];
+
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+const VoicePlayer = ({ src, duration, waveform = [], isOwn }) => {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+
+  const bars = waveform.length > 0 ? waveform : Array(32).fill(30);
+  const progress = duration ? Math.min(currentTime / duration, 1) : 0;
+
+  const togglePlayback = (e) => {
+    e.stopPropagation();
+    if (isPlaying) {
+      audioRef.current.pause();
+    } else {
+      audioRef.current.play();
+    }
+  };
+
+  const cyclePlaybackRate = (e) => {
+    e.stopPropagation();
+    const nextRate =
+      PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(playbackRate) + 1) % PLAYBACK_RATES.length];
+    audioRef.current.playbackRate = nextRate;
+    setPlaybackRate(nextRate);
+  };
+
+  const seek = (e) => {
+    e.stopPropagation();
+    if (!duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    audioRef.current.currentTime = ((e.clientX - rect.left) / rect.width) * duration;
+  };
+
+  return (
+    <div className="flex items-center gap-2 min-w-[220px]">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="none"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => {
+          setIsPlaying(false);
+          setCurrentTime(0);
+        }}
+        onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+      />
+
+      <button
+        type="button"
+        onClick={togglePlayback}
+        className={`p-2 rounded-full ${isOwn ? "bg-white text-blue-500" : "bg-blue-500 text-white"}`}
+        title={isPlaying ? "Pause" : "Play"}
+      >
+        {isPlaying ? <PauseIcon className="size-4" /> : <PlayIcon className="size-4" />}
+      </button>
+
+      <div className="flex-1 flex items-center gap-px h-8 cursor-pointer" onClick={seek}>
+        {bars.map((bar, index) => (
+          <span
+            key={index}
+            className={`flex-1 rounded-full ${
+              index / bars.length < progress
+                ? isOwn
+                  ? "bg-white"
+                  : "bg-blue-500"
+                : isOwn
+                  ? "bg-blue-300"
+                  : "bg-gray-300"
+            }`}
+            style={{ height: `${Math.max(bar, 8)}%` }}
+          />
+        ))}
+      </div>
+
+      <span className={`text-xs tabular-nums ${isOwn ? "text-blue-100" : "text-gray-500"}`}>
+        {formatDuration(isPlaying || currentTime ? currentTime : duration)}
+      </span>
+
+      <button
+        type="button"
+        onClick={cyclePlaybackRate}
+        className={`text-xs font-semibold px-1.5 py-0.5 rounded ${
+          isOwn ? "bg-blue-400 text-white" : "bg-gray-200 text-gray-700"
+        }`}
+        title="Playback speed"
+      >
+        {playbackRate}x
+      </button>
+    </div>
+  );
+};
+
+export default VoicePlayer;
@@ -0,0 +1,180 @@
+import { useEffect, useRef, useState } from "react";
+import { SendIcon, SquareIcon, Trash2Icon } from "lucide-react";
+
+const MAX_DURATION = 5 * 60; // seconds, matches the server limit
+// stop this far ahead of the limit: the timer below only checks every 250ms
+const STOP_MARGIN = 0.5; // seconds
+const WAVEFORM_POINTS = 48;
+
+const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Peak amplitude per slice of the recording, scaled to 0-100
+const getWaveform = async (blob) => {
+  const audioContext = new AudioContext();
+  try {
+    const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+    const samples = buffer.getChannelData(0);
+    const sliceSize = Math.max(Math.floor(samples.length / WAVEFORM_POINTS), 1);
+
+    const peaks = [];
+    for (let i = 0; i < WAVEFORM_POINTS; i++) {
+      let peak = 0;
+      for (let j = i * sliceSize; j < (i + 1) * sliceSize && j < samples.length; j++) {
+        peak = Math.max(peak, Math.abs(samples[j]));
+      }
+      peaks.push(peak);
+    }
+
+    const loudest = Math.max(...peaks) || 1;
+    return peaks.map((peak) => Math.round((peak / loudest) * 100));
+  } finally {
+    audioContext.close();
+  }
+};
+
+// Records a voice note on mount, then lets the user preview and send or discard it
+const VoiceRecorder = ({ onSend, onCancel, isSending }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [recording, setRecording] = useState(null); // { blob, url, duration, waveform }
+  const [micError, setMicError] = useState(false);
+
+  const mediaRecorderRef = useRef(null);
+  const startedAtRef = useRef(0);
+
+  useEffect(() => {
+    let stream;
+    let timer;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (cancelled) return stream.getTracks().forEach((track) => track.stop());
+
+        const chunks = [];
+        const mediaRecorder = new MediaRecorder(stream);
+        mediaRecorderRef.current = mediaRecorder;
+
+        mediaRecorder.ondataavailable = (e) => {
+          if (e.data.size > 0) chunks.push(e.data);
+        };
+
+        mediaRecorder.onstop = async () => {
+          clearInterval(timer);
+          stream.getTracks().forEach((track) => track.stop());
+          setIsRecording(false);
+          if (cancelled) return;
+
+          const blob = new Blob(chunks, { type: mediaRecorder.mimeType });
+          const duration = Math.min((Date.now() - startedAtRef.current) / 1000, MAX_DURATION);
+
+          let waveform = [];
+          try {
+            waveform = await getWaveform(blob);
+          } catch (error) {
+            console.error("Could not compute waveform:", error);
+          }
+
+          setRecording({ blob, url: URL.createObjectURL(blob), duration, waveform });
+        };
+
+        mediaRecorder.start();
+        startedAtRef.current = Date.now();
+        setIsRecording(true);
+
+        timer = setInterval(() => {
+          const seconds = (Date.now() - startedAtRef.current) / 1000;
+          setElapsed(seconds);
+          if (seconds >= MAX_DURATION - STOP_MARGIN && mediaRecorder.state === "recording") {
+            mediaRecorder.stop();
+          }
+        }, 250);
+      } catch (error) {
+        console.error("Error starting voice recording:", error);
+        setMicError(true);
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (mediaRecorderRef.current?.state === "recording") {
+        mediaRecorderRef.current.stop();
+      } else {
+        stream?.getTracks().forEach((track) => track.stop());
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (recording) URL.revokeObjectURL(recording.url);
+    };
+  }, [recording]);
+
+  const handleSend = () => {
+    const type = recording.blob.type.split(";")[0] || "audio/webm";
+    const extension = type.split("/")[1] === "mp4" ? "m4a" : type.split("/")[1];
+    const file = new File([recording.blob], `voice-message.${extension}`, { type });
+
+    onSend({ file, duration: recording.duration, waveform: recording.waveform });
+  };
+
+  return (
+    <div className="flex items-center gap-3 p-2 border border-gray-300 rounded-lg">
+      <button
+        type="button"
+        onClick={onCancel}
+        className="p-2 text-gray-500 hover:text-red-500"
+        title="Discard"
+        disabled={isSending}
+      >
+        <Trash2Icon className="size-5" />
+      </button>
+
+      {recording ? (
+        <audio src={recording.url} controls className="flex-1 h-10" />
+      ) : micError ? (
+        <p className="flex-1 text-sm text-red-500">
+          Microphone access is needed to record voice messages
+        </p>
+      ) : (
+        <div className="flex-1 flex items-center gap-2 text-sm text-gray-700">
+          <span className="size-2.5 rounded-full bg-red-500 animate-pulse" />
+          {isRecording ? `Recording ${formatDuration(elapsed)}` : "Starting microphone..."}
+          <span className="text-xs text-gray-400">max {formatDuration(MAX_DURATION)}</span>
+        </div>
+      )}
+
+      {recording ? (
+        <button
+          type="button"
+          onClick={handleSend}
+          disabled={isSending}
+          className="px-4 py-2 rounded-lg font-medium flex items-center gap-2 bg-blue-500 text-white hover:bg-blue-600 disabled:bg-gray-300"
+        >
+          <SendIcon className="size-4" />
+          {isSending ? "Sending..." : "Send"}
+        </button>
+      ) : (
+        <button
+          type="button"
+          onClick={() => mediaRecorderRef.current?.stop()}
+          disabled={!isRecording}
+          className="p-2 rounded-full bg-red-500 text-white hover:bg-red-600 disabled:bg-gray-300"
+          title="Stop recording"
+        >
+          <SquareIcon className="size-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VoiceRecorder;
@@ -0,0 +1,29 @@
+import { useEffect } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { getFriendsPresence } from "../lib/api";
+import socketService from "../lib/socket";
+
+// Friends' presence keyed by user id, kept live by presence:update socket events
+const useFriendsPresence = () => {
+  const queryClient = useQueryClient();
+
+  const { data: presence = {} } = useQuery({
+    queryKey: ["friendsPresence"],
+    queryFn: getFriendsPresence,
+    select: (entries) => Object.fromEntries(entries.map((entry) => [entry.userId, entry])),
+  });
+
+  useEffect(
+    () =>
+      socketService.on("presence:update", (update) => {
+        queryClient.setQueryData(["friendsPresence"], (entries = []) => [
+          ...entries.filter((entry) => entry.userId !== update.userId),
+          update,
+        ]);
+      }),
+    [queryClient]
+  );
+
+  return presence;
+};
+export default useFriendsPresence;
@@ -0,0 +1,13 @@
+import { useQuery } from "@tanstack/react-query";
+import { getLanguages } from "../lib/api";
+
+const useLanguages = () => {
+  const languages = useQuery({
+    queryKey: ["languages"],
+    queryFn: getLanguages,
+    staleTime: Infinity, // the registry only changes with a deploy
+  });
+
+  return { isLoading: languages.isLoading, languages: languages.data || [] };
+};
+export default useLanguages;
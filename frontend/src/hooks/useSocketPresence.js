@@ -0,0 +1,31 @@
+import { useEffect } from "react";
+import socketService from "../lib/socket";
+
+// Keeps one socket open while the user is signed in so friends see them online,
+// and reports "away" whenever the tab is hidden. Takes the signed-in user's id,
+// or null while there is nobody to connect for.
+const useSocketPresence = (userId) => {
+  useEffect(() => {
+    if (!userId) return;
+
+    socketService.setUser(userId);
+
+    const reportStatus = () => {
+      const status = document.visibilityState === "visible" ? "online" : "away";
+      socketService.emit("presence:status", { status });
+    };
+
+    socketService
+      .connect()
+      .then(reportStatus)
+      .catch((error) => console.error("Presence socket failed to connect:", error));
+
+    document.addEventListener("visibilitychange", reportStatus);
+
+    return () => {
+      document.removeEventListener("visibilitychange", reportStatus);
+      socketService.disconnect();
+    };
+  }, [userId]);
+};
+export default useSocketPresence;
@@ -1,4 +1,4 @@
-import { axiosInstance } from "./axios";
+import { axiosInstance, BASE_URL } from "./axios";
 
 export const signup = async (signupData) => {
   const response = await axiosInstance.post("/auth/signup", signupData);
@@ -34,8 +34,38 @@ export async function getUserFriends() {
   return response.data;
 }
 
-export async function getRecommendedUsers() {
-  const response = await axiosInstance.get("/users");
+export async function getFriendsPresence() {
+  const response = await axiosInstance.get("/users/friends/presence");
+  return response.data;
+}
+
+export async function removeFriend(userId) {
+  const response = await axiosInstance.delete(`/users/friends/${userId}`);
+  return response.data;
+}
+
+export async function getBlockedUsers() {
+  const response = await axiosInstance.get("/users/blocked");
+  return response.data;
+}
+
+export async function blockUser(userId) {
+  const response = await axiosInstance.post(`/users/block/${userId}`);
+  return response.data;
+}
+
+export async function unblockUser(userId) {
+  const response = await axiosInstance.delete(`/users/block/${userId}`);
+  return response.data;
+}
+
+export async function getRecommendedUsers(params = {}) {
+  const response = await axiosInstance.get("/users", { params });
+  return response.data;
+}
+
+export async function getUserProfile(userId) {
+  const response = await axiosInstance.get(`/users/${userId}`);
   return response.data;
 }
 
@@ -59,6 +89,107 @@ export async function acceptFriendRequest(requestId) {
   return response.data;
 }
 
+export async function declineFriendRequest(requestId) {
+  const response = await axiosInstance.put(`/users/friend-request/${requestId}/decline`);
+  return response.data;
+}
+
+export async function cancelFriendRequest(requestId) {
+  const response = await axiosInstance.delete(`/users/friend-request/${requestId}`);
+  return response.data;
+}
+
+export async function getConversations(params) {
+  const response = await axiosInstance.get("/chat/conversations", { params });
+  return response.data;
+}
+
+export async function getConversationSettings(userId) {
+  const response = await axiosInstance.get(`/chat/${userId}/settings`);
+  return response.data;
+}
+
+export async function updateConversationSettings({ userId, ...settings }) {
+  const response = await axiosInstance.put(`/chat/${userId}/settings`, settings);
+  return response.data;
+}
+
+// metadata carries extra fields such as a voice note's duration and waveform
+export async function uploadAttachment(file, targetUserId, metadata = {}) {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append("targetUserId", targetUserId);
+  Object.entries(metadata).forEach(([key, value]) => {
+    formData.append(key, typeof value === "string" ? value : JSON.stringify(value));
+  });
+
+  const response = await axiosInstance.post("/chat/attachments", formData);
+  return response.data;
+}
+
+// Attachments are served behind auth, the cookie goes along with <img>/<a> requests
+export const getAttachmentUrl = (attachmentId) => `${BASE_URL}/chat/attachments/${attachmentId}`;
+
+export const getAttachmentThumbnailUrl = (attachmentId) =>
+  `${BASE_URL}/chat/attachments/${attachmentId}/thumbnail`;
+
+export async function getConversationMedia(userId, params) {
+  const response = await axiosInstance.get(`/chat/${userId}/media`, { params });
+  return response.data;
+}
+
+// role is "received" (my mistakes, the default) or "given"
+export async function getCorrections(params) {
+  const response = await axiosInstance.get("/corrections", { params });
+  return response.data;
+}
+
+export async function getVocabulary(params) {
+  const response = await axiosInstance.get("/vocabulary", { params });
+  return response.data;
+}
+
+export async function getVocabularyTags() {
+  const response = await axiosInstance.get("/vocabulary/tags");
+  return response.data;
+}
+
+export async function createVocabularyItem(item) {
+  const response = await axiosInstance.post("/vocabulary", item);
+  return response.data;
+}
+
+export async function updateVocabularyItem({ id, ...item }) {
+  const response = await axiosInstance.put(`/vocabulary/${id}`, item);
+  return response.data;
+}
+
+export async function deleteVocabularyItem(id) {
+  const response = await axiosInstance.delete(`/vocabulary/${id}`);
+  return response.data;
+}
+
+export async function getReviewCards() {
+  const response = await axiosInstance.get("/vocabulary/review");
+  return response.data;
+}
+
+// grade is 0-5 as in SM-2
+export async function reviewVocabularyItem({ id, grade }) {
+  const response = await axiosInstance.post(`/vocabulary/${id}/review`, { grade });
+  return response.data;
+}
+
+export async function getLanguages() {
+  const response = await axiosInstance.get("/languages");
+  return response.data;
+}
+
+export async function translateText({ text, from, to }) {
+  const response = await axiosInstance.post("/translate", { text, from, to });
+  return response.data;
+}
+
 export async function getStreamToken() {
   const response = await axiosInstance.get("/chat/token");
   return response.data;
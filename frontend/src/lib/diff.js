@@ -0,0 +1,45 @@
+// Word-level diff for showing corrections, whitespace is kept with the word before it
+
+const tokenize = (text) => text.match(/\S+\s*/g) || [];
+
+// Returns [{ type: "equal" | "removed" | "added", text }] turning `original` into `corrected`
+export const diffWords = (original, corrected) => {
+  const a = tokenize(original);
+  const b = tokenize(corrected);
+  const same = (x, y) => x.trim() === y.trim();
+
+  // lengths[i][j] = longest common subsequence of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(a[i], b[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(a[i], b[j])) {
+      push("equal", b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return parts;
+};
@@ -0,0 +1,17 @@
+// Lookups over the language registry served by GET /api/languages
+
+// User profiles store registry ids such as "spanish"
+export const getLanguageById = (languages, id) =>
+  languages.find((language) => language.id === id?.toLowerCase()) || null;
+
+// Accepts a speech locale ("es-ES"), an ISO code ("es") or any locale of that language ("es-MX")
+export const findLanguageByCode = (languages, code) => {
+  if (!code) return null;
+
+  const baseCode = code.split("-")[0].toLowerCase();
+  return (
+    languages.find((language) => language.locale === code) ||
+    languages.find((language) => language.code === baseCode) ||
+    null
+  );
+};
@@ -5,24 +5,54 @@ const SOCKET_URL = import.meta.env.VITE_SOCKET_URL ||
     ? "https://globalingo-e2yi.onrender.com" 
     : "http://localhost:5001");
 
+// How long a sent chat message may wait for the server's acknowledgement
+const MESSAGE_ACK_TIMEOUT_MS = 10000;
+
+// Message events whose payload carries the changed message's updatedAt
+const SYNCED_EVENTS = [
+  "chat:message",
+  "chat:message:sent",
+  "message:status",
+  "message:reaction",
+  "message:edited",
+  "message:translated",
+  "message:corrected",
+  "message:deleted",
+];
+
+const getSyncCursorKey = (userId) => `globalingo-sync-cursor:${userId}`;
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.eventHandlers = new Map();
+    this.connectPromise = null;
+    // server time of the newest change this browser has seen, live or synced, kept
+    // per user in localStorage; every (re)connect asks for what changed since
+    this.userId = null;
+    this.lastEventAt = null;
+    this.isSyncing = false;
+    this.syncListeners = new Set();
+    // chat messages not yet acknowledged, by client id, in the order they were sent
+    this.outbox = new Map();
+    this.outboxListeners = new Set();
   }
 
-  connect(userData) {
+  connect() {
     if (this.socket && this.socket.connected) {
       console.log("Socket already connected");
       return Promise.resolve(this.socket);
     }
 
-    return new Promise((resolve, reject) => {
+    // The app and a page may both ask while the first attempt is still in flight
+    if (this.connectPromise) return this.connectPromise;
+
+    this.connectPromise = new Promise((resolve, reject) => {
       try {
         this.socket = io(SOCKET_URL, {
-          credentials: true,
+          withCredentials: true, // send the jwt cookie for handshake auth
           transports: ["websocket", "polling"],
           timeout: 20000,
           forceNew: true,
@@ -32,15 +62,13 @@ class SocketService {
         this.socket.on("connect", () => {
           console.log("Socket connected:", this.socket.id);
           this.reconnectAttempts = 0;
-          
-          // Send user data to server
-          this.socket.emit("user:join", userData);
           resolve(this.socket);
         });
 
         // Connection error
         this.socket.on("connect_error", (error) => {
           console.error("Socket connection error:", error);
+          this.connectPromise = null;
           reject(new Error(`Socket connection failed: ${error.message}`));
         });
 
@@ -64,9 +92,12 @@ class SocketService {
 
       } catch (error) {
         console.error("Failed to create socket:", error);
+        this.connectPromise = null;
         reject(error);
       }
     });
+
+    return this.connectPromise;
   }
 
   handleReconnection() {
@@ -83,7 +114,7 @@ class SocketService {
       setTimeout(() => {
         // Create new socket connection
         this.socket = io(SOCKET_URL, {
-          credentials: true,
+          withCredentials: true,
           transports: ["websocket", "polling"],
           timeout: 20000,
           forceNew: true,
@@ -101,14 +132,42 @@ class SocketService {
     if (!this.socket) return;
 
     // Re-add all stored event handlers
-    this.eventHandlers.forEach((handler, event) => {
-      this.socket.on(event, handler);
+    this.eventHandlers.forEach((handlers, event) => {
+      handlers.forEach((handler) => this.socket.on(event, handler));
     });
 
     // Basic connection events
     this.socket.on("connect", () => {
       console.log("Socket reconnected:", this.socket.id);
       this.reconnectAttempts = 0;
+      this.requestSync();
+      this.flushOutbox();
+    });
+
+    // Missed messages arrive in pages; each one is handed to the sync listeners
+    this.socket.on("sync:messages", (data) => {
+      this.syncListeners.forEach((listener) => {
+        try {
+          listener(data);
+        } catch (error) {
+          console.error("Error in sync listener:", error);
+        }
+      });
+
+      if (data.hasMore) {
+        this.requestSync(data.nextCursor);
+      } else {
+        this.isSyncing = false;
+        this.advanceSyncCursor(data.syncedAt);
+      }
+    });
+
+    // Live changes move the cursor too, except while a sync is still paging in
+    // older ones that a cursor past them would skip next time
+    SYNCED_EVENTS.forEach((event) => {
+      this.socket.on(event, (data) => {
+        if (!this.isSyncing) this.advanceSyncCursor(data?.updatedAt);
+      });
     });
 
     this.socket.on("disconnect", (reason) => {
@@ -124,6 +183,11 @@ class SocketService {
   }
 
   disconnect() {
+    this.connectPromise = null;
+    this.userId = null;
+    this.lastEventAt = null;
+    this.isSyncing = false;
+    this.outbox.clear();
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -141,20 +205,65 @@ class SocketService {
       }
     };
 
-    this.eventHandlers.set(event, wrappedHandler);
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(wrappedHandler);
     
     if (this.socket) {
       this.socket.on(event, wrappedHandler);
     }
+
+    // Several components may listen to the same event; each removes only its own handler
+    return () => this.off(event, wrappedHandler);
   }
 
-  off(event) {
-    this.eventHandlers.delete(event);
-    if (this.socket) {
-      this.socket.off(event);
+  // Removes one handler, or every handler registered through on() for the event;
+  // the service's own listeners are never touched
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return;
+
+    const removed = handler ? [handler] : [...handlers];
+    removed.forEach((removedHandler) => {
+      handlers.delete(removedHandler);
+      this.socket?.off(event, removedHandler);
+    });
+    if (handlers.size === 0) {
+      this.eventHandlers.delete(event);
     }
   }
 
+  // Picks up the sync cursor this browser stored for the signed-in user; call
+  // before connect() so the first sync resumes from it
+  setUser(userId) {
+    if (this.userId === userId) return;
+    this.userId = userId;
+    this.lastEventAt = userId ? localStorage.getItem(getSyncCursorKey(userId)) : null;
+  }
+
+  // Only ever moves forward: a change older than the cursor was already seen
+  advanceSyncCursor(updatedAt) {
+    if (!updatedAt) return;
+    if (this.lastEventAt && new Date(updatedAt) <= new Date(this.lastEventAt)) return;
+
+    this.lastEventAt = updatedAt;
+    if (this.userId) {
+      localStorage.setItem(getSyncCursorKey(this.userId), updatedAt);
+    }
+  }
+
+  requestSync(cursor = { since: this.lastEventAt }) {
+    this.isSyncing = this.emit("sync:request", cursor);
+    return this.isSyncing;
+  }
+
+  // Unlike on(), any number of listeners can follow sync; returns an unsubscribe function
+  onSync(listener) {
+    this.syncListeners.add(listener);
+    return () => this.syncListeners.delete(listener);
+  }
+
   emit(event, data) {
     if (!this.socket || !this.socket.connected) {
       console.error("Socket not connected, cannot emit:", event);
@@ -197,14 +306,87 @@ class SocketService {
   }
 
   // Chat methods
-  sendMessage(targetUserId, message, senderId) {
-    return this.emit("chat:message", {
-      targetUserId,
-      message,
-      senderId,
+
+  // Queues a chat message under a client-generated id and sends it when the
+  // socket is connected. The server stores each id once, so a retry after a
+  // dropped connection can't duplicate the message. Returns the outbox entry.
+  sendMessage(data) {
+    const clientId = crypto.randomUUID();
+    const entry = { clientId, payload: { ...data, clientId }, status: "sending", error: null };
+
+    this.outbox.set(clientId, entry);
+    this.deliverQueued(entry);
+    return entry;
+  }
+
+  retryMessage(clientId) {
+    const entry = this.outbox.get(clientId);
+    if (entry) this.deliverQueued(entry);
+  }
+
+  getQueuedMessages(targetUserId) {
+    return Array.from(this.outbox.values()).filter(
+      (entry) => entry.payload.targetUserId === targetUserId
+    );
+  }
+
+  // Listeners get every outbox change: "sending", "failed" or "sent" with the stored message
+  onOutbox(listener) {
+    this.outboxListeners.add(listener);
+    return () => this.outboxListeners.delete(listener);
+  }
+
+  notifyOutbox(entry) {
+    this.outboxListeners.forEach((listener) => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error("Error in outbox listener:", error);
+      }
     });
   }
 
+  // Resolves once the server answered or the send was given up for now
+  deliverQueued(entry) {
+    entry.status = "sending";
+    entry.error = null;
+    this.notifyOutbox({ ...entry });
+
+    // Offline: the message stays queued until the next connect flushes it
+    if (!this.isConnected()) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.socket
+        .timeout(MESSAGE_ACK_TIMEOUT_MS)
+        .emit("chat:message", entry.payload, (timeoutError, response) => {
+          resolve();
+          if (!this.outbox.has(entry.clientId)) return;
+
+          if (!timeoutError && response?.message) {
+            this.outbox.delete(entry.clientId);
+            this.notifyOutbox({ ...entry, status: "sent", message: response.message });
+            return;
+          }
+
+          // Lost with the connection: the reconnect flush sends it again
+          if (timeoutError && !this.isConnected()) return;
+
+          entry.status = "failed";
+          entry.error = response?.error || "Message could not be sent";
+          this.notifyOutbox({ ...entry });
+        });
+    });
+  }
+
+  // Resends queued messages one at a time so they arrive in order
+  async flushOutbox() {
+    for (const entry of Array.from(this.outbox.values())) {
+      if (entry.status !== "sending") continue;
+      await this.deliverQueued(entry);
+      if (!this.isConnected()) return;
+    }
+  }
+
   // Connection status
   isConnected() {
     return this.socket && this.socket.connected;
@@ -0,0 +1,9 @@
+// "food, Travel ,food" -> ["food", "travel"], matching how the server stores tags
+export const parseTags = (value) => [
+  ...new Set(
+    value
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
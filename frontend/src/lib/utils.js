@@ -1 +1,17 @@
 export const capitialize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+export const formatLastSeen = (date) => {
+  if (!date) return "Offline";
+
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return "Last seen just now";
+  if (minutes < 60) return `Last seen ${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `Last seen ${hours}h ago`;
+
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `Last seen ${days}d ago`;
+
+  return `Last seen ${new Date(date).toLocaleDateString()}`;
+};
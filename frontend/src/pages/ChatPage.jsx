@@ -1,8 +1,10 @@
 import { useEffect, useState } from "react";
 import { useParams } from "react-router";
 import useAuthUser from "../hooks/useAuthUser";
+import useLanguages from "../hooks/useLanguages";
+import { findLanguageByCode, getLanguageById } from "../lib/languages";
 import { useQuery } from "@tanstack/react-query";
-import { getStreamToken } from "../lib/api";
+import { getStreamToken, translateText } from "../lib/api";
 
 import {
   Channel,
@@ -27,8 +29,8 @@ const ChatPage = () => {
   const [chatClient, setChatClient] = useState(null);
   const [channel, setChannel] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [fromLanguage, setFromLanguage] = useState('en-US');
-  const [toLanguage, setToLanguage] = useState('es-SV');
+  const [fromLanguage, setFromLanguage] = useState('en');
+  const [toLanguage, setToLanguage] = useState('es');
   const [isTranslateMode, setIsTranslateMode] = useState(false);
   const [showLanguageSelector, setShowLanguageSelector] = useState(false);
   const [translationData, setTranslationData] = useState(null);
@@ -37,6 +39,7 @@ const ChatPage = () => {
   const [translationHistory, setTranslationHistory] = useState([]);
 
   const { authUser } = useAuthUser();
+  const { languages } = useLanguages();
 
   const { data: tokenData } = useQuery({
     queryKey: ["streamToken"],
@@ -44,73 +47,16 @@ const ChatPage = () => {
     enabled: !!authUser,
   });
 
-  // Language mapping and definitions
-  const languageMap = {
-    'english': 'en-US',
-    'spanish': 'es-ES', 
-    'french': 'fr-FR',
-    'german': 'de-DE',
-    'italian': 'it-IT',
-    'portuguese': 'pt-PT',
-    'russian': 'ru-RU',
-    'japanese': 'ja-JP',
-    'korean': 'ko-KR',
-    'chinese': 'zh-CN',
-    'arabic': 'ar-SA',
-    'hindi': 'hi-IN',
-    'dutch': 'nl-NL',
-    'swedish': 'sv-SE',
-    'norwegian': 'no-NO',
-    'danish': 'da-DK',
-    'polish': 'pl-PL',
-    'czech': 'cs-CZ',
-    'hungarian': 'hu-HU',
-    'finnish': 'fi-FI',
-    'turkish': 'tr-TR',
-    'greek': 'el-GR',
-    'hebrew': 'he-IL',
-    'thai': 'th-TH',
-    'vietnamese': 'vi-VN',
-    'indonesian': 'id-ID',
-    'malay': 'ms-MY',
-    'filipino': 'tl-PH',
-    'ukrainian': 'uk-UA',
-    'romanian': 'ro-RO',
-    'bulgarian': 'bg-BG',
-    'croatian': 'hr-HR',
-    'serbian': 'sr-CS',
-    'slovak': 'sk-SK',
-    'slovenian': 'sl-SI',
-    'estonian': 'et-EE',
-    'latvian': 'lv-LV',
-    'lithuanian': 'lt-LT'
-  };
-
-  const languages = [
-    { code: 'en-US', name: 'English (US)', flag: '🇺🇸' },
-    { code: 'en-GB', name: 'English (UK)', flag: '🇬🇧' },
-    { code: 'es-ES', name: 'Spanish (Spain)', flag: '🇪🇸' },
-    { code: 'es-MX', name: 'Spanish (Mexico)', flag: '🇲🇽' },
-    { code: 'es-SV', name: 'Spanish (El Salvador)', flag: '🇸🇻' },
-    { code: 'fr-FR', name: 'French', flag: '🇫🇷' },
-    { code: 'de-DE', name: 'German', flag: '🇩🇪' },
-    { code: 'it-IT', name: 'Italian', flag: '🇮🇹' },
-    { code: 'pt-BR', name: 'Portuguese (Brazil)', flag: '🇧🇷' },
-    { code: 'zh-CN', name: 'Chinese (Simplified)', flag: '🇨🇳' }
-  ];
-
   // Set default languages: learningLanguage → nativeLanguage
   useEffect(() => {
-    if (authUser?.nativeLanguage && authUser?.learningLanguage) {
-      const nativeLang = languageMap[authUser.nativeLanguage.toLowerCase()];
-      const learningLang = languageMap[authUser.learningLanguage.toLowerCase()];
-      
-      if (nativeLang && learningLang) {
-        setFromLanguage(learningLang);
-        setToLanguage(nativeLang);
-      }
+    const nativeLang = getLanguageById(languages, authUser?.nativeLanguage);
+    const learningLang = getLanguageById(languages, authUser?.learningLanguage);
+
+    if (nativeLang && learningLang) {
+      setFromLanguage(learningLang.code);
+      setToLanguage(nativeLang.code);
     }
-  }, [authUser]);
+  }, [authUser, languages]);
 
   // Close dropdown when clicking outside - improved
   useEffect(() => {
@@ -247,33 +193,28 @@ const ChatPage = () => {
         });
 
         try {
-          const response = await fetch(
-            `https://api.mymemory.translated.net/get?q=${encodeURIComponent(messageText)}&langpair=${fromLanguage}|${toLanguage}`
-          );
-          const data = await response.json();
+          const { translatedText } = await translateText({
+            text: messageText,
+            from: fromLanguage,
+            to: toLanguage,
+          });
+
+          // Cache the result
+          setTranslationCache(prev => new Map([...prev, [cacheKey, translatedText]]));
           
-          if (data.responseStatus === 200 && data.responseData?.translatedText) {
-            const translatedText = data.responseData.translatedText;
-            
-            // Cache the result
-            setTranslationCache(prev => new Map([...prev, [cacheKey, translatedText]]));
-            
-            const newTranslation = {
-              id: messageId,
-              originalText: messageText,
-              translatedText: translatedText,
-              fromLang: fromLanguage,
-              toLang: toLanguage,
-              timestamp: new Date().toLocaleTimeString()
-            };
-            
-            setTranslationData(newTranslation);
-            
-            // Add to history
-            setTranslationHistory(prev => [newTranslation, ...prev.slice(0, 9)]); // Keep last 10
-          } else {
-            throw new Error(`Translation failed: ${data.responseDetails || 'Unknown error'}`);
-          }
+          const newTranslation = {
+            id: messageId,
+            originalText: messageText,
+            translatedText: translatedText,
+            fromLang: fromLanguage,
+            toLang: toLanguage,
+            timestamp: new Date().toLocaleTimeString()
+          };
+          
+          setTranslationData(newTranslation);
+          
+          // Add to history
+          setTranslationHistory(prev => [newTranslation, ...prev.slice(0, 9)]); // Keep last 10
         } catch (error) {
           console.error('Translation failed:', error);
           setTranslationData(prev => ({
@@ -349,7 +290,7 @@ const ChatPage = () => {
   };
 
   const getLanguageDisplay = (code) => {
-    const lang = languages.find(l => l.code === code);
+    const lang = findLanguageByCode(languages, code);
     return lang ? `${lang.flag} ${lang.name}` : code;
   };
 
@@ -407,7 +348,7 @@ const ChatPage = () => {
                             className="w-full text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
                           >
                             {languages.map(lang => (
-                              <option key={lang.code} value={lang.code}>{lang.flag} {lang.name}</option>
+                              <option key={lang.id} value={lang.code}>{lang.flag} {lang.name}</option>
                             ))}
                           </select>
                         </div>
@@ -432,7 +373,7 @@ const ChatPage = () => {
                             className="w-full text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
                           >
                             {languages.map(lang => (
-                              <option key={lang.code} value={lang.code}>{lang.flag} {lang.name}</option>
+                              <option key={lang.id} value={lang.code}>{lang.flag} {lang.name}</option>
                             ))}
                           </select>
                         </div>
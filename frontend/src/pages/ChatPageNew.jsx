@@ -1,13 +1,124 @@
-import { useEffect, useState, useRef } from "react";
-import { useParams } from "react-router";
+import { useEffect, useLayoutEffect, useState, useRef } from "react";
+import { useParams, useSearchParams } from "react-router";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import useAuthUser from "../hooks/useAuthUser";
+import useLanguages from "../hooks/useLanguages";
+import { findLanguageByCode, getLanguageById } from "../lib/languages";
 import socketService from "../lib/socket";
+import {
+  getAttachmentThumbnailUrl,
+  getAttachmentUrl,
+  getConversationSettings,
+  getUserProfile,
+  updateConversationSettings,
+  uploadAttachment,
+} from "../lib/api";
 import toast from "react-hot-toast";
 import CallButton from "../components/CallButton";
+import CorrectionDiff from "../components/CorrectionDiff";
+import ImageLightbox from "../components/ImageLightbox";
+import SaveToNotebook from "../components/SaveToNotebook";
+import SharedMediaPanel from "../components/SharedMediaPanel";
+import VoicePlayer from "../components/VoicePlayer";
+import VoiceRecorder from "../components/VoiceRecorder";
+
+// Client shape of a message as serialized by the server
+const toChatMessage = (msg, authUserId) => ({
+  id: msg._id,
+  clientId: msg.clientId || null,
+  text: msg.message,
+  senderId: msg.senderId,
+  senderName: msg.senderName,
+  senderPic: msg.senderPic,
+  timestamp: new Date(msg.timestamp),
+  type: msg.senderId === authUserId ? "sent" : "received",
+  conversationId: msg.conversationId,
+  messageType: msg.messageType || "text",
+  replyTo: msg.replyTo,
+  reactions: msg.reactions || [],
+  translations: msg.translations || [],
+  corrections: msg.corrections || [],
+  attachmentId: msg.attachmentId,
+  fileUrl: msg.attachmentId ? getAttachmentUrl(msg.attachmentId) : msg.fileUrl,
+  thumbnailUrl: msg.hasThumbnail ? getAttachmentThumbnailUrl(msg.attachmentId) : null,
+  width: msg.width,
+  height: msg.height,
+  duration: msg.duration,
+  waveform: msg.waveform,
+  fileName: msg.fileName,
+  fileSize: msg.fileSize,
+  isEdited: msg.isEdited || false,
+  editedAt: msg.editedAt ? new Date(msg.editedAt) : null,
+  isDeleted: msg.isDeleted || false,
+  deletedAt: msg.deletedAt ? new Date(msg.deletedAt) : null,
+  status: msg.status || "sent",
+});
+
+// Optimistic copy of a message still in the socket outbox, shown until the
+// server confirms it; `attachment` is the upload response when there is one
+const toPendingMessage = ({ clientId, payload, status }, authUserId, attachment = null) => ({
+  id: clientId,
+  clientId,
+  text: payload.message,
+  senderId: authUserId,
+  timestamp: new Date(),
+  type: "sent",
+  conversationId: [authUserId, payload.targetUserId].sort().join("-"),
+  messageType: attachment?.kind || "text",
+  replyTo: payload.replyTo,
+  reactions: [],
+  translations: [],
+  corrections: [],
+  attachmentId: payload.attachmentId || null,
+  fileUrl: payload.attachmentId ? getAttachmentUrl(payload.attachmentId) : null,
+  thumbnailUrl: null,
+  width: attachment?.width,
+  height: attachment?.height,
+  duration: attachment?.duration,
+  waveform: [],
+  fileName: attachment?.fileName,
+  fileSize: attachment?.fileSize,
+  status,
+});
+
+// A replayed or re-delivered message is ignored when it is already shown
+const appendMessage = (messages, message) =>
+  messages.some(
+    (msg) =>
+      msg.id === message.id ||
+      (message.clientId && msg.clientId === message.clientId && msg.senderId === message.senderId)
+  )
+    ? messages
+    : [...messages, message];
+
+const isUnconfirmed = (message) => message.status === "sending" || message.status === "failed";
+
+// Swaps a confirmed message in for its optimistic copy. The ack, the
+// chat:message:sent echo and a sync replay can all deliver the same message,
+// so whichever comes second only clears a leftover copy.
+const confirmSentMessage = (messages, message) => {
+  const isOptimisticCopy = (msg) =>
+    Boolean(message.clientId) && msg.clientId === message.clientId && isUnconfirmed(msg);
+
+  if (messages.some((msg) => msg.id === message.id)) {
+    return messages.filter((msg) => !isOptimisticCopy(msg));
+  }
+
+  const pendingIndex = messages.findIndex(isOptimisticCopy);
+  if (pendingIndex === -1) return [...messages, message];
+
+  return messages.map((msg, index) =>
+    index === pendingIndex ? message : msg
+  );
+};
 
 const ChatPageNew = () => {
   const { id: targetUserId } = useParams();
+  // notebook entries link back here with ?message=<id>
+  const [searchParams] = useSearchParams();
+  const focusMessageId = searchParams.get('message');
   const { authUser } = useAuthUser();
+  const { languages } = useLanguages();
   
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState("");
@@ -15,6 +126,8 @@ const ChatPageNew = () => {
   const [isTyping, setIsTyping] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
   
   // Reply and reaction states
   const [replyingTo, setReplyingTo] = useState(null);
@@ -22,56 +135,90 @@ const ChatPageNew = () => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [showMessageMenu, setShowMessageMenu] = useState(null);
+  const [showSharedMedia, setShowSharedMedia] = useState(false);
+  const [lightboxImage, setLightboxImage] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [isRecordingVoice, setIsRecordingVoice] = useState(false);
+  // received messages whose auto-translation is hidden
+  const [originalOnlyIds, setOriginalOnlyIds] = useState(new Set());
+
+  const queryClient = useQueryClient();
+
+  const { data: conversationSettings } = useQuery({
+    queryKey: ["conversationSettings", targetUserId],
+    queryFn: () => getConversationSettings(targetUserId),
+    enabled: Boolean(targetUserId),
+  });
+
+  const { mutate: updateSettingsMutation, isPending: isUpdatingSettings } = useMutation({
+    mutationFn: updateConversationSettings,
+    onSuccess: (settings) => {
+      queryClient.setQueryData(["conversationSettings", targetUserId], settings);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || "Failed to update settings");
+    },
+  });
   
   // Edit and delete states
   const [editingMessage, setEditingMessage] = useState(null);
   const [editText, setEditText] = useState('');
+
+  // Peer correction of a partner's message
+  const [correctingMessage, setCorrectingMessage] = useState(null);
+  const [correctionText, setCorrectionText] = useState('');
+  const [correctionExplanation, setCorrectionExplanation] = useState('');
   
   // Translation states
   const [isTranslateMode, setIsTranslateMode] = useState(false);
   const [showLanguageSelector, setShowLanguageSelector] = useState(false);
-  const [fromLanguage, setFromLanguage] = useState('en-US');
-  const [toLanguage, setToLanguage] = useState('es-ES');
+  const [fromLanguage, setFromLanguage] = useState('auto'); // detected by the server
+  const [toLanguage, setToLanguage] = useState('es');
   const [translationData, setTranslationData] = useState(null);
-  const [translationHistory, setTranslationHistory] = useState({});
-  const [translationCache, setTranslationCache] = useState(new Map());
   const [targetUser, setTargetUser] = useState(null); // Store target user info
   
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const scrollRestoreRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+  const focusedMessageRef = useRef(null);
+  const lastTypingEmitRef = useRef(0);
 
-  // Map language names to codes (same as VideoCall)
-  const mapLanguageToCode = (language) => {
-    const mapping = {
-      'english': 'en-US',
-      'spanish': 'es-ES', 
-      'french': 'fr-FR',
-      'german': 'de-DE',
-      'italian': 'it-IT',
-      'portuguese': 'pt-BR',
-      'chinese': 'zh-CN'
-    };
-    return mapping[language?.toLowerCase()] || language || 'en-US';
-  };
-
-  // Language options
-  const languages = [
-    { code: 'en-US', name: 'English (US)', flag: '🇺🇸' },
-    { code: 'en-GB', name: 'English (UK)', flag: '🇬🇧' },
-    { code: 'es-ES', name: 'Spanish', flag: '🇪🇸' },
-    { code: 'fr-FR', name: 'French', flag: '🇫🇷' },
-    { code: 'de-DE', name: 'German', flag: '🇩🇪' },
-    { code: 'it-IT', name: 'Italian', flag: '🇮🇹' },
-    { code: 'pt-BR', name: 'Portuguese', flag: '🇧🇷' },
-    { code: 'zh-CN', name: 'Chinese', flag: '🇨🇳' }
-  ];
+  // Detected languages and "auto" aren't locales, fall back to a readable label
+  const findLanguage = (code) =>
+    findLanguageByCode(languages, code) ||
+    (code === 'auto' ? { flag: '🔎', name: 'Auto-detected' } : null);
 
   // Auto-scroll to bottom
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
+  // Only follow new messages at the bottom, not older pages prepended on top
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
     scrollToBottom();
+  }, [lastMessageId]);
+
+  // Jump to a linked message once it is loaded, after the scroll to the bottom
+  useEffect(() => {
+    if (!focusMessageId || focusedMessageRef.current === focusMessageId) return;
+    if (!messages.some(msg => msg.id === focusMessageId)) return;
+
+    focusedMessageRef.current = focusMessageId;
+    document.getElementById(`message-${focusMessageId}`)?.scrollIntoView({ block: "center" });
+    setHighlightedMessageId(focusMessageId);
+    setTimeout(() => setHighlightedMessageId(null), 3000);
+  }, [focusMessageId, messages]);
+
+  // Keep the viewport anchored on the same message after prepending an older page
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const previous = scrollRestoreRef.current;
+    if (!container || !previous) return;
+
+    container.scrollTop = container.scrollHeight - previous.scrollHeight + previous.scrollTop;
+    scrollRestoreRef.current = null;
   }, [messages]);
 
   // Close message menu and emoji picker when clicking outside
@@ -111,19 +258,24 @@ const ChatPageNew = () => {
   useEffect(() => {
     if (!authUser) return;
 
+    // The socket itself stays up app-wide for presence; only this page's handlers go
+    let unsubscribers = [];
+    let isActive = true;
+
     const initializeSocket = async () => {
       try {
         console.log("Initializing socket connection...");
         setConnectionError(null);
         
-        await socketService.connect(authUser);
+        await socketService.connect();
+        if (!isActive) return;
         setIsConnected(true);
         
         console.log("Socket connected successfully");
         toast.success("Connected to chat");
 
         // Set up event handlers
-        setupSocketHandlers();
+        unsubscribers = setupSocketHandlers();
         
         // Load chat history
         loadChatHistory();
@@ -138,110 +290,209 @@ const ChatPageNew = () => {
 
     initializeSocket();
 
+    // Mark the conversation read when the user comes back to the tab
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible" && socketService.isConnected()) {
+        socketService.emit("conversation:read", { targetUserId });
+      }
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
     // Cleanup on unmount
     return () => {
-      socketService.disconnect();
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      clearTimeout(typingTimeoutRef.current);
+      // The socket outlives this page, so a pending typing indicator must be stopped explicitly
+      if (lastTypingEmitRef.current) {
+        socketService.emit("typing:stop", { targetUserId });
+        lastTypingEmitRef.current = 0;
+      }
+      isActive = false;
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
       setIsConnected(false);
     };
-  }, [authUser]);
+  }, [authUser, targetUserId]);
+
+  // After a reconnect, apply what this conversation missed: edits, deletes,
+  // reactions and receipts update loaded messages, new ones are appended
+  useEffect(() => {
+    if (!authUser || !targetUserId) return;
+    const conversationId = [authUser._id, targetUserId].sort().join("-");
+
+    return socketService.onSync(({ messages: changed }) => {
+      const missed = changed
+        .filter((msg) => msg.conversationId === conversationId)
+        .map((msg) => toChatMessage(msg, authUser._id));
+      if (missed.length === 0) return;
+
+      setMessages(prev => {
+        const missedById = new Map(missed.map((msg) => [msg.id, msg]));
+        const missedClientIds = new Set(missed.map((msg) => msg.clientId).filter(Boolean));
+        const updated = prev
+          .filter((msg) => !(isUnconfirmed(msg) && missedClientIds.has(msg.clientId)))
+          .map((msg) => {
+            const latest = missedById.get(msg.id);
+            if (!latest) return msg;
+            missedById.delete(msg.id);
+            return latest;
+          });
+
+        // changes to messages older than the loaded history stay unloaded
+        const oldestLoaded = prev[0]?.timestamp;
+        const added = [...missedById.values()].filter(
+          (msg) => !oldestLoaded || msg.timestamp >= oldestLoaded
+        );
+
+        return [...updated, ...added].sort((a, b) => a.timestamp - b.timestamp);
+      });
+
+      if (
+        document.visibilityState === "visible" &&
+        missed.some((msg) => msg.type === "received" && msg.status !== "read")
+      ) {
+        socketService.emit("conversation:read", { targetUserId });
+      }
+    });
+  }, [authUser, targetUserId]);
+
+  // Outbox updates for this conversation: acks replace optimistic copies,
+  // failures switch them to a retry button
+  useEffect(() => {
+    if (!authUser || !targetUserId) return;
+
+    return socketService.onOutbox((entry) => {
+      if (entry.payload.targetUserId !== targetUserId) return;
+
+      if (entry.status === "sent") {
+        setMessages(prev => confirmSentMessage(prev, toChatMessage(entry.message, authUser._id)));
+        return;
+      }
+
+      setMessages(prev => prev.map(msg =>
+        msg.clientId === entry.clientId && isUnconfirmed(msg)
+          ? { ...msg, status: entry.status }
+          : msg
+      ));
+    });
+  }, [authUser, targetUserId]);
 
+  // Registers this page's handlers and returns their unsubscribe functions
   const setupSocketHandlers = () => {
+    const unsubscribers = [];
+    const listen = (event, handler) => unsubscribers.push(socketService.on(event, handler));
+
     // Handle incoming messages
-    socketService.on("chat:message", (data) => {
+    listen("chat:message", (data) => {
       console.log("Received message:", data);
+
+      // Acknowledge delivery even if the message belongs to another conversation
+      socketService.emit("message:delivered", { messageIds: [data._id] });
+
+      if (data.senderId !== targetUserId) return;
+
+      setIsTyping(false);
+
+      if (document.visibilityState === "visible") {
+        socketService.emit("conversation:read", { targetUserId });
+      }
       
-      const messageObj = {
-        id: data._id || Date.now() + Math.random(),
-        text: data.message,
-        senderId: data.senderId,
-        senderName: data.senderName,
-        senderPic: data.senderPic,
-        timestamp: new Date(data.timestamp),
-        type: "received",
-        conversationId: data.conversationId,
-        messageType: data.messageType || "text",
-        replyTo: data.replyTo,
-        reactions: data.reactions || [],
-        fileUrl: data.fileUrl,
-        fileName: data.fileName,
-        fileSize: data.fileSize,
-      };
+      const messageObj = toChatMessage(data, authUser._id);
       
-      setMessages(prev => [...prev, messageObj]);
+      setMessages(prev => appendMessage(prev, messageObj));
     });
 
     // Handle message sent confirmation
-    socketService.on("chat:message:sent", (data) => {
+    listen("chat:message:sent", (data) => {
       console.log("Message sent confirmation:", data);
+
+      // Also arrives for messages sent from my other devices, in any conversation
+      if (data.targetUserId?.toString() !== targetUserId) return;
       
-      const messageObj = {
-        id: data._id || Date.now() + Math.random(),
-        text: data.message,
-        senderId: authUser._id,
-        timestamp: new Date(data.timestamp),
-        type: "sent",
-        conversationId: data.conversationId,
-        messageType: data.messageType || "text",
-        replyTo: data.replyTo,
-        reactions: [],
-        fileUrl: data.fileUrl,
-        fileName: data.fileName,
-        fileSize: data.fileSize,
-      };
+      const messageObj = toChatMessage(data, authUser._id);
       
-      setMessages(prev => [...prev, messageObj]);
+      setMessages(prev => confirmSentMessage(prev, messageObj));
     });
 
     // Handle connection status
-    socketService.on("connect", () => {
+    listen("connect", () => {
       setIsConnected(true);
       setConnectionError(null);
       toast.success("Reconnected to chat");
     });
 
-    socketService.on("disconnect", () => {
+    listen("disconnect", () => {
       setIsConnected(false);
       toast.error("Disconnected from chat");
     });
 
     // Handle errors
-    socketService.on("error", (error) => {
+    listen("error", (error) => {
       console.error("Socket error:", error);
       setConnectionError(error.message);
       toast.error(`Chat error: ${error.message}`);
     });
 
     // Handle chat history
-    socketService.on("chat:history", (data) => {
+    listen("chat:history", (data) => {
       console.log("Received chat history:", data);
-      setIsLoadingHistory(false);
-      
-      const historyMessages = data.messages.map(msg => ({
-        id: msg._id,
-        text: msg.message,
-        senderId: msg.senderId,
-        senderName: msg.senderName,
-        senderPic: msg.senderPic,
-        timestamp: new Date(msg.timestamp),
-        type: msg.senderId === authUser._id ? "sent" : "received",
-        conversationId: msg.conversationId,
-        messageType: msg.messageType || "text",
-        replyTo: msg.replyTo,
-        reactions: msg.reactions || [],
-        fileUrl: msg.fileUrl,
-        fileName: msg.fileName,
-        fileSize: msg.fileSize,
-        isEdited: msg.isEdited || false,
-        editedAt: msg.editedAt ? new Date(msg.editedAt) : null,
-        isDeleted: msg.isDeleted || false,
-        deletedAt: msg.deletedAt ? new Date(msg.deletedAt) : null,
-      }));
       
-      setMessages(historyMessages);
+      const historyMessages = data.messages.map((msg) => toChatMessage(msg, authUser._id));
+
+      setHasMoreHistory(Boolean(data.hasMore));
+
+      // An older page goes on top of what is already loaded
+      if (data.before) {
+        setMessages(prev => [...historyMessages, ...prev]);
+        setIsLoadingOlder(false);
+        return;
+      }
+
+      setIsLoadingHistory(false);
+
+      // Keep showing messages still in the outbox unless the server already has them
+      const storedClientIds = new Set(historyMessages.map((msg) => msg.clientId).filter(Boolean));
+      const queuedMessages = socketService
+        .getQueuedMessages(targetUserId)
+        .filter((entry) => !storedClientIds.has(entry.clientId))
+        .map((entry) => toPendingMessage(entry, authUser._id));
+      setMessages([...historyMessages, ...queuedMessages]);
+
+      // Opening the chat marks everything the partner sent as read
+      socketService.emit("conversation:read", { targetUserId });
+    });
+
+    listen("chat:history:failed", (data) => {
+      if (data.before) {
+        setIsLoadingOlder(false);
+        // a cursor the server rejects won't work on a retry either
+        setHasMoreHistory(false);
+      } else {
+        setIsLoadingHistory(false);
+      }
+      toast.error(data.message);
+    });
+
+    // Handle partner typing indicator
+    listen("typing:start", (data) => {
+      if (data.userId === targetUserId) setIsTyping(true);
+    });
+
+    listen("typing:stop", (data) => {
+      if (data.userId === targetUserId) setIsTyping(false);
+    });
+
+    // Handle delivery and read receipts for my messages
+    listen("message:status", (data) => {
+      const updatedIds = new Set(data.messageIds);
+      setMessages(prev => prev.map(msg =>
+        updatedIds.has(msg.id) && msg.status !== "read"
+          ? { ...msg, status: data.status }
+          : msg
+      ));
     });
     
     // Handle message reactions
-    socketService.on("message:reaction", (data) => {
+    listen("message:reaction", (data) => {
       console.log("Received reaction update:", data);
       setMessages(prev => prev.map(msg => 
         msg.id === data.messageId 
@@ -251,7 +502,7 @@ const ChatPageNew = () => {
     });
     
     // Handle message edit
-    socketService.on("message:edited", (data) => {
+    listen("message:edited", (data) => {
       console.log("Received message edit:", data);
       setMessages(prev => prev.map(msg => 
         msg.id === data.messageId 
@@ -259,14 +510,73 @@ const ChatPageNew = () => {
               ...msg, 
               text: data.newText, 
               isEdited: true,
-              editedAt: new Date(data.editedAt)
+              editedAt: new Date(data.editedAt),
+              translations: []
             }
           : msg
       ));
     });
     
+    // Translations are stored on the message, either participant may have asked for them
+    listen("message:translated", (data) => {
+      const { messageId, translation } = data;
+
+      setMessages(prev => prev.map(msg =>
+        msg.id === messageId
+          ? {
+              ...msg,
+              translations: [
+                ...(msg.translations || []).filter(t => t.language !== translation.language),
+                translation,
+              ],
+            }
+          : msg
+      ));
+
+      setTranslationData(prev =>
+        prev?.id === messageId && prev.toLang.toLowerCase() === translation.language.toLowerCase()
+          ? {
+              ...prev,
+              translatedText: translation.text,
+              fromLang: translation.sourceLanguage,
+              isLoading: false,
+              timestamp: new Date(translation.createdAt).toLocaleTimeString(),
+              fullTimestamp: new Date(translation.createdAt).getTime(),
+            }
+          : prev
+      );
+    });
+
+    listen("message:translate:failed", (data) => {
+      setTranslationData(prev =>
+        prev?.id === data.messageId
+          ? { ...prev, translatedText: "Translation failed", isLoading: false, error: true }
+          : prev
+      );
+      toast.error(data.message || "Translation failed");
+    });
+
+    // A partner corrected one of my messages, or my own correction was saved
+    listen("message:corrected", (data) => {
+      const { messageId, correction } = data;
+
+      setMessages(prev => prev.map(msg =>
+        msg.id === messageId
+          ? { ...msg, corrections: [...(msg.corrections || []), correction] }
+          : msg
+      ));
+
+      if (correction.authorId !== authUser._id) {
+        toast(`${correction.authorName} suggested a correction`, { icon: "✍️" });
+      }
+    });
+
+    listen("message:correct:failed", (data) => {
+      toast.error(data.message || "Failed to save correction");
+    });
+
     // Handle message delete
-    socketService.on("message:deleted", (data) => {
+    listen("message:deleted", (data) => {
       console.log("Received message delete:", data);
       setMessages(prev => prev.map(msg => 
         msg.id === data.messageId 
@@ -274,66 +584,103 @@ const ChatPageNew = () => {
               ...msg, 
               text: "This message was deleted", 
               isDeleted: true,
+              translations: [],
+              corrections: [],
+              attachmentId: null,
+              fileUrl: null,
+              thumbnailUrl: null,
               deletedAt: new Date(data.deletedAt)
             }
           : msg
       ));
+      setTranslationData(prev => (prev?.id === data.messageId ? null : prev));
     });
 
     // Video call invitations are now handled as regular chat messages with clickable links
+    return unsubscribers;
   };
 
   const setupAutoLanguages = async () => {
     if (!authUser || !targetUserId) return;
 
     try {
-      // Set my target language from my profile
-      if (authUser.nativeLanguage) {
-        const myLanguage = mapLanguageToCode(authUser.nativeLanguage);
-        setToLanguage(myLanguage);
-        console.log(`🎯 My language: ${authUser.nativeLanguage} (${myLanguage})`);
-      }
-
-      // Fetch target user info to get their language
-      const response = await fetch(`/api/users/${targetUserId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (response.ok) {
-        const targetUserData = await response.json();
-        setTargetUser(targetUserData);
-        
-        if (targetUserData.nativeLanguage) {
-          const theirLanguage = mapLanguageToCode(targetUserData.nativeLanguage);
-          setFromLanguage(theirLanguage);
-          console.log(`🎯 Their language: ${targetUserData.nativeLanguage} (${theirLanguage})`);
-          console.log(`🌐 Auto-translation setup: ${theirLanguage} → ${toLanguage}`);
-        }
-      } else {
-        console.log('Could not fetch target user info for auto-translation');
-      }
+      // Fetch target user info for the header; their messages' language is detected per message
+      const targetUserData = await getUserProfile(targetUserId);
+      setTargetUser(targetUserData);
     } catch (error) {
       console.error('Error setting up auto-translation:', error);
     }
   };
 
+  useEffect(() => {
+    setupAutoLanguages();
+  }, [authUser, targetUserId]);
+
+  // Translate into my native language by default
+  useEffect(() => {
+    const myLanguage = getLanguageById(languages, authUser?.nativeLanguage);
+    if (myLanguage) {
+      setToLanguage(myLanguage.code);
+    }
+  }, [authUser, languages]);
+
   const loadChatHistory = () => {
     if (socketService.isConnected() && authUser && targetUserId) {
       console.log("Loading chat history...");
       setIsLoadingHistory(true);
       
       socketService.emit("chat:get-history", {
-        userId: authUser._id,
         targetUserId: targetUserId,
         limit: 50
       });
     }
   };
 
+  // Tell the partner we're typing; re-sent every few seconds to keep the
+  // server-side indicator alive and stopped after a short idle period
+  const handleTyping = (value) => {
+    setNewMessage(value);
+    if (!isConnected || !targetUserId) return;
+
+    const now = Date.now();
+    if (now - lastTypingEmitRef.current > 3000) {
+      socketService.emit("typing:start", { targetUserId });
+      lastTypingEmitRef.current = now;
+    }
+
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(() => {
+      socketService.emit("typing:stop", { targetUserId });
+      lastTypingEmitRef.current = 0;
+    }, 2000);
+  };
+
+  const loadOlderMessages = () => {
+    // unconfirmed messages only have a client id, which the server can't page from
+    const oldestStored = messages.find((msg) => !isUnconfirmed(msg));
+    if (isLoadingOlder || !hasMoreHistory || !oldestStored || !socketService.isConnected()) {
+      return;
+    }
+
+    const container = messagesContainerRef.current;
+    scrollRestoreRef.current = container
+      ? { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop }
+      : null;
+
+    setIsLoadingOlder(true);
+    socketService.emit("chat:get-history", {
+      targetUserId,
+      limit: 50,
+      before: oldestStored.id,
+    });
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80) {
+      loadOlderMessages();
+    }
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
     
@@ -347,7 +694,6 @@ const ChatPageNew = () => {
       let messageData = {
         targetUserId,
         message: newMessage.trim() || (selectedFile ? `Sent ${selectedFile.type.startsWith('image/') ? 'an image' : 'a file'}: ${selectedFile.name}` : ''),
-        senderId: authUser._id
       };
       
       // Add reply reference if replying
@@ -355,30 +701,53 @@ const ChatPageNew = () => {
         messageData.replyTo = replyingTo.id;
       }
       
-      // Handle file upload
+      // Upload the file first, the message only carries the attachment id
+      let attachment = null;
       if (selectedFile) {
-        messageData.messageType = selectedFile.type.startsWith('image/') ? 'image' : 'file';
-        messageData.fileName = selectedFile.name;
-        messageData.fileSize = selectedFile.size;
-        
-        // Convert file to base64 for sharing across clients
-        const base64Data = await convertFileToBase64(selectedFile);
-        messageData.fileUrl = base64Data;
+        attachment = await uploadAttachment(selectedFile, targetUserId);
+        messageData.attachmentId = attachment._id;
       }
 
-      const success = socketService.emit("chat:message", messageData);
+      // Shown right away as "sending"; the outbox retries it if the connection drops
+      const entry = socketService.sendMessage(messageData);
+      setMessages(prev => [...prev, toPendingMessage(entry, authUser._id, attachment)]);
 
-      if (success !== false) {
-        console.log("Message sent to server");
-        setNewMessage("");
-        setReplyingTo(null);
-        setSelectedFile(null);
-      } else {
-        toast.error("Failed to send message - not connected");
-      }
+      clearTimeout(typingTimeoutRef.current);
+      lastTypingEmitRef.current = 0;
+      setNewMessage("");
+      setReplyingTo(null);
+      setSelectedFile(null);
     } catch (error) {
       console.error("Error sending message:", error);
-      toast.error("Failed to send message");
+      toast.error(error.response?.data?.message || "Failed to send message");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const sendVoiceMessage = async ({ file, duration, waveform }) => {
+    if (!isConnected || !targetUserId) return;
+
+    try {
+      setIsUploading(true);
+
+      const attachment = await uploadAttachment(file, targetUserId, { duration, waveform });
+      const entry = socketService.sendMessage({
+        targetUserId,
+        message: "Sent a voice message",
+        attachmentId: attachment._id,
+        ...(replyingTo && { replyTo: replyingTo.id }),
+      });
+      setMessages(prev => [
+        ...prev,
+        { ...toPendingMessage(entry, authUser._id, attachment), waveform },
+      ]);
+
+      setReplyingTo(null);
+      setIsRecordingVoice(false);
+    } catch (error) {
+      console.error("Error sending voice message:", error);
+      toast.error(error.response?.data?.message || "Failed to send voice message");
     } finally {
       setIsUploading(false);
     }
@@ -398,17 +767,12 @@ const ChatPageNew = () => {
       
       // Send video call invitation as a regular message with clickable link
       const callUrl = `${window.location.origin}/call/${meetingId}`;
-      const success = socketService.emit("chat:message", {
+      const entry = socketService.sendMessage({
         targetUserId,
         message: `📹 ${authUser.fullName} is inviting you to a video call: ${callUrl}`,
-        senderId: authUser._id
       });
-
-      if (success !== false) {
-        toast.success("Video call invitation sent!");
-      } else {
-        toast.error("Failed to send invitation - not connected");
-      }
+      setMessages(prev => [...prev, toPendingMessage(entry, authUser._id)]);
+      toast.success("Video call invitation sent!");
     } catch (error) {
       console.error("Error sending video call invitation:", error);
       toast.error("Failed to send video call invitation");
@@ -417,22 +781,47 @@ const ChatPageNew = () => {
 
 
 
+  const toggleOriginalOnly = (messageId) => {
+    setOriginalOnlyIds(prev => {
+      const next = new Set(prev);
+      if (next.has(messageId)) {
+        next.delete(messageId);
+      } else {
+        next.add(messageId);
+      }
+      return next;
+    });
+  };
+
   // Translation functions
+  const toTranslationItem = (message, translation) => ({
+    id: message.id,
+    originalText: message.text,
+    translatedText: translation.text,
+    fromLang: translation.sourceLanguage,
+    toLang: translation.language,
+    userId: message.senderId,
+    userName: message.type === "sent"
+      ? authUser.fullName
+      : message.senderName || targetUser?.fullName || 'Unknown User',
+    timestamp: new Date(translation.createdAt).toLocaleTimeString(),
+    fullTimestamp: new Date(translation.createdAt).getTime(),
+  });
+
+  // Every translation saved in this chat, most recent first
+  const translationHistory = messages
+    .filter(msg => !msg.isDeleted)
+    .flatMap(msg => (msg.translations || []).map(t => toTranslationItem(msg, t)))
+    .sort((a, b) => b.fullTimestamp - a.fullTimestamp);
+
   const toggleTranslateMode = () => {
     const newMode = !isTranslateMode;
     setIsTranslateMode(newMode);
     if (newMode) {
       setShowLanguageSelector(true);
-      // Open translation panel if there's any history
-      if (Object.keys(translationHistory).length > 0) {
-        // Get the most recent translation from any user
-        const allTranslations = Object.entries(translationHistory)
-          .flatMap(([userId, userHistory]) => userHistory)
-          .sort((a, b) => (b.fullTimestamp || 0) - (a.fullTimestamp || 0));
-        
-        if (allTranslations.length > 0) {
-          setTranslationData(allTranslations[0]);
-        }
+      // Open translation panel with the most recent translation
+      if (translationHistory.length > 0) {
+        setTranslationData(translationHistory[0]);
       }
     } else {
       setShowLanguageSelector(false);
@@ -440,91 +829,40 @@ const ChatPageNew = () => {
     }
   };
 
-  const translateText = async (text) => {
-    try {
-      const response = await fetch(
-        `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${fromLanguage}|${toLanguage}`
-      );
-      const data = await response.json();
-      
-      if (data.responseStatus === 200) {
-        return data.responseData.translatedText;
-      }
-      throw new Error("Translation failed");
-    } catch (error) {
-      console.error("Translation error:", error);
-      return text;
-    }
-  };
-
-  const handleMessageClick = async (messageText, messageId) => {
+  const handleMessageClick = (messageText, messageId) => {
     if (!isTranslateMode || !messageText) return;
-    
-    // Check cache first
-    const cacheKey = `${messageText}-${fromLanguage}-${toLanguage}`;
-    if (translationCache.has(cacheKey)) {
-      const cachedTranslation = {
-        id: messageId,
-        originalText: messageText,
-        translatedText: translationCache.get(cacheKey),
-        fromLang: fromLanguage,
-        toLang: toLanguage,
-        timestamp: new Date().toLocaleTimeString(),
-        fullTimestamp: new Date().getTime()
-      };
-      setTranslationData(cachedTranslation);
+
+    const message = messages.find(msg => msg.id === messageId);
+    const saved = message?.translations?.find(
+      t => t.language.toLowerCase() === toLanguage.toLowerCase()
+    );
+
+    // Already translated into this language by either of us
+    if (saved) {
+      setTranslationData(toTranslationItem(message, saved));
       return;
     }
-    
-    try {
-      // Show loading state
-      setTranslationData({
-        id: messageId,
-        originalText: messageText,
-        translatedText: "Translating...",
-        isLoading: true,
-        fromLang: fromLanguage,
-        toLang: toLanguage,
-      });
 
-      const translatedText = await translateText(messageText);
-      
-      // Cache the result
-      const newCache = new Map(translationCache);
-      newCache.set(cacheKey, translatedText);
-      setTranslationCache(newCache);
-      
-      const newTranslation = {
-        id: messageId,
-        originalText: messageText,
-        translatedText,
-        fromLang: fromLanguage,
-        toLang: toLanguage,
-        timestamp: new Date().toLocaleTimeString(),
-        fullTimestamp: new Date().getTime()
-      };
-      
-      setTranslationData(newTranslation);
-      
-      // Add to user-specific history (keep last 20 per user)
-      const messageUserId = messages.find(msg => msg.id === messageId)?.senderId || 'unknown';
-      setTranslationHistory(prev => ({
-        ...prev,
-        [messageUserId]: [newTranslation, ...(prev[messageUserId] || []).slice(0, 19)]
-      }));
-      
-    } catch (error) {
-      console.error("Translation error:", error);
-      setTranslationData({
-        id: messageId,
-        originalText: messageText,
-        translatedText: "Translation failed",
-        error: true,
-        fromLang: fromLanguage,
-        toLang: toLanguage,
-      });
-      toast.error("Translation failed");
+    if (!isConnected) {
+      toast.error("Not connected to server");
+      return;
     }
+
+    // Show loading state until message:translated arrives
+    setTranslationData({
+      id: messageId,
+      originalText: messageText,
+      translatedText: "Translating...",
+      isLoading: true,
+      fromLang: fromLanguage,
+      toLang: toLanguage,
+    });
+
+    socketService.emit("message:translate", {
+      messageId,
+      from: fromLanguage,
+      to: toLanguage,
+    });
   };
   
   // Emoji reactions functionality
@@ -539,7 +877,6 @@ const ChatPageNew = () => {
     socketService.emit("message:react", {
       messageId,
       emoji,
-      userId: authUser._id
     });
     
     setShowEmojiPicker(null);
@@ -562,15 +899,6 @@ const ChatPageNew = () => {
     }
   };
   
-  const convertFileToBase64 = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.readAsDataURL(file);
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = error => reject(error);
-    });
-  };
-  
   const getReactionCount = (reactions, emoji) => {
     return reactions.filter(r => r.emoji === emoji).length;
   };
@@ -607,7 +935,6 @@ const ChatPageNew = () => {
     const success = socketService.emit("message:edit", {
       messageId: editingMessage.id,
       newText: editText.trim(),
-      userId: authUser._id
     });
     
     if (success) {
@@ -623,12 +950,46 @@ const ChatPageNew = () => {
     setEditText('');
   };
   
+  // Correction functions
+  const handleSuggestCorrection = (message) => {
+    setCorrectingMessage(message);
+    setCorrectionText(message.text);
+    setCorrectionExplanation('');
+    setShowMessageMenu(null);
+  };
+
+  const cancelCorrection = () => {
+    setCorrectingMessage(null);
+    setCorrectionText('');
+    setCorrectionExplanation('');
+  };
+
+  const submitCorrection = () => {
+    if (!correctionText.trim() || !correctingMessage) return;
+
+    if (correctionText.trim() === correctingMessage.text.trim()) {
+      toast.error("Change something before sending the correction");
+      return;
+    }
+
+    const success = socketService.emit("message:correct", {
+      messageId: correctingMessage.id,
+      correctedText: correctionText.trim(),
+      explanation: correctionExplanation.trim(),
+    });
+
+    if (success) {
+      cancelCorrection();
+    } else {
+      toast.error("Failed to send correction - not connected");
+    }
+  };
+
   // Delete message function
   const handleDeleteMessage = (message) => {
     if (window.confirm("Are you sure you want to delete this message?")) {
       const success = socketService.emit("message:delete", {
         messageId: message.id,
-        userId: authUser._id
       });
       
       if (!success) {
@@ -638,6 +999,41 @@ const ChatPageNew = () => {
     setShowMessageMenu(null);
   };
 
+  // Ticks for my own messages: sent ✓, delivered ✓✓, read ✓✓ (highlighted);
+  // unconfirmed ones show "sending…" or a retry button
+  const renderStatusTicks = (message) => {
+    if (message.senderId !== authUser._id || message.isDeleted) return null;
+
+    if (message.status === "sending") {
+      return <span className="ml-1 text-blue-100 italic">sending…</span>;
+    }
+
+    if (message.status === "failed") {
+      return (
+        <button
+          type="button"
+          onClick={() => socketService.retryMessage(message.clientId)}
+          className="ml-1 text-red-200 font-semibold underline"
+          title="Send this message again"
+        >
+          failed – retry
+        </button>
+      );
+    }
+
+    const ticks = message.status === "sent" || !message.status ? "✓" : "✓✓";
+    const titles = { sent: "Sent", delivered: "Delivered", read: "Read" };
+
+    return (
+      <span
+        className={`ml-1 ${message.status === "read" ? "text-cyan-300 font-semibold" : "text-blue-100"}`}
+        title={titles[message.status] || "Sent"}
+      >
+        {ticks}
+      </span>
+    );
+  };
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], {
       hour: '2-digit',
@@ -702,6 +1098,21 @@ const ChatPageNew = () => {
           <CallButton handleVideoCall={handleVideoCall} />
 
           
+          {/* Shared Media Button */}
+          <div className="absolute top-6 right-52 z-10">
+            <button
+              onClick={() => setShowSharedMedia(!showSharedMedia)}
+              className={`px-3 py-2 rounded-lg border transition-all duration-200 flex items-center gap-2 text-sm font-medium ${
+                showSharedMedia
+                  ? 'bg-blue-500 text-white border-blue-500 shadow-md'
+                  : 'bg-white text-gray-700 border-gray-200 hover:border-blue-300 hover:bg-blue-50'
+              }`}
+            >
+              <span className="text-base">🖼️</span>
+              Media
+            </button>
+          </div>
+
           {/* Translation Button */}
           <div className="absolute top-6 right-20 z-10">
             <div className="relative translation-dropdown">
@@ -731,6 +1142,7 @@ const ChatPageNew = () => {
                         onChange={(e) => setFromLanguage(e.target.value)}
                         className="w-full text-sm border border-gray-300 rounded px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
+                        <option value="auto">🔎 Detect language</option>
                         {languages.map(lang => (
                           <option key={lang.code} value={lang.code}>{lang.flag} {lang.name}</option>
                         ))}
@@ -744,7 +1156,8 @@ const ChatPageNew = () => {
                           setFromLanguage(toLanguage);
                           setToLanguage(temp);
                         }}
-                        className="p-2 hover:bg-gray-100 rounded-full transition-colors duration-200"
+                        disabled={fromLanguage === 'auto'}
+                        className="p-2 hover:bg-gray-100 rounded-full transition-colors duration-200 disabled:opacity-40"
                         title="Swap languages"
                       >
                         <svg className="w-4 h-4 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -788,11 +1201,34 @@ const ChatPageNew = () => {
 
           {/* Chat Window */}
           <div className="flex flex-col h-full">
-            <div className="bg-white border-b border-gray-200 p-4">
-              <h1 className="text-xl font-semibold">Chat</h1>
-              <p className="text-sm text-gray-500">
-                {isConnected ? 'Connected' : 'Connecting...'}
-              </p>
+            <div className="bg-white border-b border-gray-200 p-4 flex items-center gap-3">
+              {targetUser?.profilePic && (
+                <div className="avatar">
+                  <div className="w-10 rounded-full">
+                    <img src={targetUser.profilePic} alt={targetUser.fullName} />
+                  </div>
+                </div>
+              )}
+              <div>
+                <h1 className="text-xl font-semibold">{targetUser?.fullName || 'Chat'}</h1>
+                <p className="text-sm text-gray-500">
+                  {isTyping
+                    ? <span className="italic text-blue-500">{targetUser?.fullName || 'Your partner'} is typing…</span>
+                    : isConnected ? 'Connected' : 'Connecting...'}
+                </p>
+              </div>
+              <label className="label cursor-pointer gap-2 ml-4" title="Translate incoming messages into your native language">
+                <input
+                  type="checkbox"
+                  className="toggle toggle-sm toggle-primary"
+                  checked={conversationSettings?.autoTranslate || false}
+                  disabled={!conversationSettings || isUpdatingSettings}
+                  onChange={(e) =>
+                    updateSettingsMutation({ userId: targetUserId, autoTranslate: e.target.checked })
+                  }
+                />
+                <span className="label-text text-sm text-gray-600">Auto-translate</span>
+              </label>
             </div>
 
             {/* Connection Error */}
@@ -815,7 +1251,16 @@ const ChatPageNew = () => {
             )}
 
             {/* Messages */}
-            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+            <div
+              ref={messagesContainerRef}
+              onScroll={handleMessagesScroll}
+              className="flex-1 overflow-y-auto p-4 space-y-4"
+            >
+        {isLoadingOlder && (
+          <div className="flex justify-center py-2">
+            <span className="loading loading-spinner loading-sm text-gray-400"></span>
+          </div>
+        )}
         {isLoadingHistory ? (
           <div className="flex items-center justify-center h-full text-gray-500">
             <div className="text-center">
@@ -834,17 +1279,25 @@ const ChatPageNew = () => {
           messages.map((message) => {
             const replyMessage = message.replyTo ? findReplyMessage(message.replyTo) : null;
             const uniqueReactions = getUniqueReactions(message.reactions || []);
+            const autoTranslation =
+              conversationSettings?.autoTranslate && message.type === "received" && !message.isDeleted
+                ? message.translations?.find(t => t.language === conversationSettings.targetLanguage)
+                : null;
+            const showOriginalOnly = originalOnlyIds.has(message.id);
             
             return (
               <div
                 key={message.id}
+                id={`message-${message.id}`}
                 className={`flex ${
                   message.senderId === authUser._id ? 'justify-end' : 'justify-start'
-                } group relative`}
+                } group relative ${
+                  highlightedMessageId === message.id ? 'bg-yellow-100 rounded-lg transition-colors' : ''
+                }`}
               >
                 <div className="relative">
                   {/* Three dots menu (appear on hover) - positioned differently for sent vs received messages */}
-                  <div className={`absolute -top-2 hidden group-hover:block z-10 ${
+                  <div className={`absolute -top-2 hidden ${isUnconfirmed(message) ? '' : 'group-hover:block'} z-10 ${
                     message.senderId === authUser._id ? '-left-8' : '-right-8'
                   }`}>
                     <button
@@ -885,6 +1338,17 @@ const ChatPageNew = () => {
                         <span>😊</span>
                         React
                       </button>
+
+                      {/* Corrections are for the partner's text messages */}
+                      {message.senderId !== authUser._id && message.messageType === 'text' && !message.isDeleted && (
+                        <button
+                          onClick={() => handleSuggestCorrection(message)}
+                          className="w-full text-left px-3 py-2 hover:bg-gray-100 text-sm text-gray-700 flex items-center gap-2"
+                        >
+                          <span>✍️</span>
+                          Suggest correction
+                        </button>
+                      )}
                       
                       {/* Edit and Delete options - only for user's own messages */}
                       {message.senderId === authUser._id && !message.isDeleted && (
@@ -957,11 +1421,30 @@ const ChatPageNew = () => {
                     {/* File attachment */}
                     {message.messageType === 'image' && message.fileUrl && (
                       <div className="mb-2">
+                        {/* Thumbnail in the bubble, full image only once opened */}
                         <img 
-                          src={message.fileUrl} 
+                          src={message.thumbnailUrl || message.fileUrl} 
                           alt={message.fileName}
-                          className="max-w-full h-auto rounded-lg"
+                          width={message.width || undefined}
+                          height={message.height || undefined}
+                          loading="lazy"
+                          className="max-w-full h-auto rounded-lg cursor-zoom-in object-cover"
                           style={{ maxHeight: '200px' }}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setLightboxImage({ url: message.fileUrl, name: message.fileName });
+                          }}
+                        />
+                      </div>
+                    )}
+
+                    {message.messageType === 'voice' && message.fileUrl && (
+                      <div className="mb-1">
+                        <VoicePlayer
+                          src={message.fileUrl}
+                          duration={message.duration}
+                          waveform={message.waveform}
+                          isOwn={message.senderId === authUser._id}
                         />
                       </div>
                     )}
@@ -1051,6 +1534,84 @@ const ChatPageNew = () => {
                                 (edited)
                               </p>
                             )}
+                            {autoTranslation && (
+                              <div className="mt-1 pt-1 border-t border-gray-200">
+                                {!showOriginalOnly && (
+                                  <p className="text-sm text-blue-700">{autoTranslation.text}</p>
+                                )}
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    toggleOriginalOnly(message.id);
+                                  }}
+                                  className="text-xs text-gray-400 hover:text-gray-600"
+                                >
+                                  {showOriginalOnly ? 'Show translation' : 'Show original only'}
+                                </button>
+                              </div>
+                            )}
+                            {message.corrections?.length > 0 && !message.isDeleted && (
+                              <div className="mt-2 space-y-2">
+                                {message.corrections.map(correction => (
+                                  <div
+                                    key={correction._id}
+                                    className="p-2 rounded bg-white text-gray-800 border border-gray-200"
+                                  >
+                                    <p className="text-xs text-gray-500 mb-1">
+                                      ✍️ {correction.authorId === authUser._id ? 'Your correction' : `Corrected by ${correction.authorName}`}
+                                    </p>
+                                    <CorrectionDiff
+                                      originalText={correction.originalText}
+                                      correctedText={correction.correctedText}
+                                      explanation={correction.explanation}
+                                    />
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+                            {correctingMessage?.id === message.id && (
+                              <div className="mt-2 space-y-2" onClick={(e) => e.stopPropagation()}>
+                                <textarea
+                                  value={correctionText}
+                                  onChange={(e) => setCorrectionText(e.target.value)}
+                                  className="w-full px-3 py-2 text-sm text-gray-900 border-2 border-green-300 rounded focus:outline-none focus:ring-2 focus:ring-green-500 bg-white"
+                                  rows={2}
+                                  maxLength={2000}
+                                  autoFocus
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Escape') {
+                                      e.preventDefault();
+                                      cancelCorrection();
+                                    }
+                                  }}
+                                />
+                                <input
+                                  type="text"
+                                  value={correctionExplanation}
+                                  onChange={(e) => setCorrectionExplanation(e.target.value)}
+                                  placeholder="Why? (optional)"
+                                  maxLength={500}
+                                  className="w-full px-3 py-1 text-xs text-gray-900 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-green-500 bg-white"
+                                />
+                                {correctionText.trim() && correctionText.trim() !== message.text.trim() && (
+                                  <CorrectionDiff originalText={message.text} correctedText={correctionText} />
+                                )}
+                                <div className="flex gap-1">
+                                  <button
+                                    onClick={submitCorrection}
+                                    className="px-2 py-1 text-xs bg-green-500 text-white rounded hover:bg-green-600"
+                                  >
+                                    Send correction
+                                  </button>
+                                  <button
+                                    onClick={cancelCorrection}
+                                    className="px-2 py-1 text-xs bg-gray-300 text-gray-700 rounded hover:bg-gray-400"
+                                  >
+                                    Cancel
+                                  </button>
+                                </div>
+                              </div>
+                            )}
                           </div>
                         }
                       </div>
@@ -1061,6 +1622,7 @@ const ChatPageNew = () => {
                         message.senderId === authUser._id ? 'text-blue-100' : 'text-gray-500'
                       }`}>
                         {formatTime(message.timestamp)}
+                        {renderStatusTicks(message)}
                         {isTranslateMode && <span className="ml-2">🌐</span>}
                       </p>
                     </div>
@@ -1139,57 +1701,80 @@ const ChatPageNew = () => {
           </div>
         )}
 
-        <form onSubmit={sendMessage} className="flex gap-2">
-          {/* File upload button */}
-          <label className="flex-shrink-0">
-            <input
-              type="file"
-              onChange={handleFileSelect}
-              accept="image/*,application/pdf,.doc,.docx,.txt"
-              className="hidden"
+        {isRecordingVoice ? (
+          <VoiceRecorder
+            onSend={sendVoiceMessage}
+            onCancel={() => setIsRecordingVoice(false)}
+            isSending={isUploading}
+          />
+        ) : (
+          <form onSubmit={sendMessage} className="flex gap-2">
+            {/* File upload button */}
+            <label className="flex-shrink-0">
+              <input
+                type="file"
+                onChange={handleFileSelect}
+                accept="image/jpeg,image/png,image/gif,image/webp,application/pdf,.doc,.docx,.txt"
+                className="hidden"
+                disabled={!isConnected}
+              />
+              <div
+                className={`p-2 rounded-lg border transition-colors cursor-pointer ${
+                  isConnected
+                    ? 'border-gray-300 hover:border-blue-300 hover:bg-blue-50 text-gray-600'
+                    : 'border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed'
+                }`}
+                title="Attach file"
+              >
+                📎
+              </div>
+            </label>
+
+            {/* Voice message button */}
+            <button
+              type="button"
+              onClick={() => setIsRecordingVoice(true)}
               disabled={!isConnected}
-            />
-            <div
-              className={`p-2 rounded-lg border transition-colors cursor-pointer ${
+              className={`flex-shrink-0 p-2 rounded-lg border transition-colors ${
                 isConnected
                   ? 'border-gray-300 hover:border-blue-300 hover:bg-blue-50 text-gray-600'
                   : 'border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed'
               }`}
-              title="Attach file"
+              title="Record voice message"
             >
-              📎
-            </div>
-          </label>
-
-          <input
-            type="text"
-            value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
-            placeholder={
-              replyingTo 
-                ? `Reply to ${replyingTo.senderName || 'message'}...`
-                : isConnected 
-                  ? "Type a message..." 
-                  : "Connecting..."
-            }
-            disabled={!isConnected}
-            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
-          />
-          <button
-            type="submit"
-            disabled={!isConnected || (!newMessage.trim() && !selectedFile) || isUploading}
-            className={`px-6 py-2 rounded-lg font-medium flex items-center gap-2 ${
-              isConnected && (newMessage.trim() || selectedFile) && !isUploading
-                ? 'bg-blue-500 text-white hover:bg-blue-600'
-                : 'bg-gray-300 text-gray-500 cursor-not-allowed'
-            }`}
-          >
-            {isUploading && (
-              <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-            )}
-            {isUploading ? 'Sending...' : 'Send'}
-          </button>
-        </form>
+              🎤
+            </button>
+
+            <input
+              type="text"
+              value={newMessage}
+              onChange={(e) => handleTyping(e.target.value)}
+              placeholder={
+                replyingTo 
+                  ? `Reply to ${replyingTo.senderName || 'message'}...`
+                  : isConnected 
+                    ? "Type a message..." 
+                    : "Connecting..."
+              }
+              disabled={!isConnected}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            />
+            <button
+              type="submit"
+              disabled={!isConnected || (!newMessage.trim() && !selectedFile) || isUploading}
+              className={`px-6 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                isConnected && (newMessage.trim() || selectedFile) && !isUploading
+                  ? 'bg-blue-500 text-white hover:bg-blue-600'
+                  : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              }`}
+            >
+              {isUploading && (
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              )}
+              {isUploading ? 'Sending...' : 'Send'}
+            </button>
+          </form>
+        )}
         
         {!isConnected && (
           <p className="text-xs text-gray-500 mt-2">
@@ -1218,7 +1803,7 @@ const ChatPageNew = () => {
                 </button>
               </div>
               <p className="text-xs text-gray-500 mt-1">
-                {languages.find(l => l.code === translationData.fromLang)?.flag} {languages.find(l => l.code === translationData.fromLang)?.name} → {languages.find(l => l.code === translationData.toLang)?.flag} {languages.find(l => l.code === translationData.toLang)?.name}
+                {findLanguage(translationData.fromLang)?.flag} {findLanguage(translationData.fromLang)?.name} → {findLanguage(translationData.toLang)?.flag} {findLanguage(translationData.toLang)?.name}
               </p>
             </div>
 
@@ -1230,7 +1815,7 @@ const ChatPageNew = () => {
                   {/* Original */}
                   <div className="p-3 bg-gray-50 border-b border-gray-200">
                     <div className="text-xs text-gray-500 mb-1">Original:</div>
-                    <p className="text-sm text-gray-800">{translationData.originalText}</p>
+                    <p className="text-sm text-gray-800" dir="auto">{translationData.originalText}</p>
                   </div>
 
                   {/* Translation */}
@@ -1246,7 +1831,24 @@ const ChatPageNew = () => {
                         {translationData.error}
                       </div>
                     ) : (
-                      <p className="text-sm text-gray-800 font-medium">{translationData.translatedText}</p>
+                      <p
+                        className="text-sm text-gray-800 font-medium"
+                        dir={findLanguage(translationData.toLang)?.rtl ? 'rtl' : 'ltr'}
+                      >
+                        {translationData.translatedText}
+                      </p>
+                    )}
+                    {!translationData.isLoading && !translationData.error && (
+                      <div className="mt-2">
+                        <SaveToNotebook
+                          key={`${translationData.id}-${translationData.toLang}`}
+                          term={translationData.originalText}
+                          translation={translationData.translatedText}
+                          fromLanguage={translationData.fromLang}
+                          toLanguage={translationData.toLang}
+                          source={{ kind: 'chat', messageId: translationData.id }}
+                        />
+                      </div>
                     )}
                   </div>
                 </div>
@@ -1263,47 +1865,35 @@ const ChatPageNew = () => {
                 
                 {/* Combined history from all users */}
                 <div className="space-y-3 pt-2">
-                  {Object.entries(translationHistory)
-                    .flatMap(([userId, userHistory]) => 
-                      userHistory.map(item => ({
-                        ...item,
-                        userId,
-                        userName: messages.find(msg => msg.senderId === userId)?.senderName || 'Unknown User'
-                      }))
-                    )
-                    .sort((a, b) => {
-                      // Sort by fullTimestamp (most recent first)
-                      return (b.fullTimestamp || 0) - (a.fullTimestamp || 0);
-                    })
-                    .map((item, index) => (
-                      <div 
-                        key={`${item.userId}-${item.id}-${index}`} 
-                        className="bg-white rounded-lg border border-gray-200 p-3 cursor-pointer hover:bg-gray-50 transition-colors shadow-sm"
-                        onClick={() => setTranslationData(item)}
-                      >
-                        <div className="flex justify-between items-start mb-2">
-                          <div className="text-xs text-blue-600 font-medium">{item.userName}</div>
-                          <div className="text-xs text-gray-500">{item.timestamp}</div>
+                  {translationHistory.map(item => (
+                    <div 
+                      key={`${item.id}-${item.toLang}`} 
+                      className="bg-white rounded-lg border border-gray-200 p-3 cursor-pointer hover:bg-gray-50 transition-colors shadow-sm"
+                      onClick={() => setTranslationData(item)}
+                    >
+                      <div className="flex justify-between items-start mb-2">
+                        <div className="text-xs text-blue-600 font-medium">{item.userName}</div>
+                        <div className="text-xs text-gray-500">{item.timestamp}</div>
+                      </div>
+                      <div className="space-y-2">
+                        <div>
+                          <div className="text-xs text-gray-500 mb-1">Original:</div>
+                          <div className="text-sm text-gray-800 font-medium">"{item.originalText.slice(0, 60)}..."</div>
                         </div>
-                        <div className="space-y-2">
-                          <div>
-                            <div className="text-xs text-gray-500 mb-1">Original:</div>
-                            <div className="text-sm text-gray-800 font-medium">"{item.originalText.slice(0, 60)}..."</div>
-                          </div>
-                          <div>
-                            <div className="text-xs text-gray-500 mb-1">Translation:</div>
-                            <div className="text-sm text-blue-700 font-medium">"{item.translatedText.slice(0, 60)}..."</div>
-                          </div>
-                          <div className="text-xs text-gray-400 flex items-center gap-1">
-                            {languages.find(l => l.code === item.fromLang)?.flag} {languages.find(l => l.code === item.fromLang)?.name} 
-                            <span className="mx-1">→</span> 
-                            {languages.find(l => l.code === item.toLang)?.flag} {languages.find(l => l.code === item.toLang)?.name}
-                          </div>
+                        <div>
+                          <div className="text-xs text-gray-500 mb-1">Translation:</div>
+                          <div className="text-sm text-blue-700 font-medium">"{item.translatedText.slice(0, 60)}..."</div>
+                        </div>
+                        <div className="text-xs text-gray-400 flex items-center gap-1">
+                          {findLanguage(item.fromLang)?.flag} {findLanguage(item.fromLang)?.name} 
+                          <span className="mx-1">→</span> 
+                          {findLanguage(item.toLang)?.flag} {findLanguage(item.toLang)?.name}
                         </div>
                       </div>
-                    ))}
+                    </div>
+                  ))}
                   
-                  {Object.keys(translationHistory).length === 0 && (
+                  {translationHistory.length === 0 && (
                     <div className="text-center py-8 text-gray-500">
                       <svg className="w-12 h-12 mx-auto mb-2 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -1317,7 +1907,23 @@ const ChatPageNew = () => {
             </div>
           </div>
         )}
+
+        {showSharedMedia && (
+          <SharedMediaPanel
+            targetUserId={targetUserId}
+            onClose={() => setShowSharedMedia(false)}
+            onOpenImage={setLightboxImage}
+          />
+        )}
       </div>
+
+      {lightboxImage && (
+        <ImageLightbox
+          src={lightboxImage.url}
+          alt={lightboxImage.name}
+          onClose={() => setLightboxImage(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import { Link } from "react-router";
+import { MessageSquareIcon, PencilLineIcon } from "lucide-react";
+import { getCorrections } from "../lib/api";
+import CorrectionDiff from "../components/CorrectionDiff";
+
+// Corrections partners made to my messages, and the ones I made to theirs
+const CorrectionsPage = () => {
+  const [role, setRole] = useState("received");
+
+  const { data, isLoading, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ["corrections", role],
+    queryFn: ({ pageParam }) => getCorrections({ role, before: pageParam || undefined }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.nextCursor : undefined),
+  });
+
+  const corrections = data?.pages.flatMap((page) => page.corrections) || [];
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="container mx-auto max-w-4xl space-y-6">
+        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+          <h1 className="text-2xl sm:text-3xl font-bold tracking-tight">Corrections</h1>
+
+          <div className="tabs tabs-boxed">
+            <button
+              className={`tab ${role === "received" ? "tab-active" : ""}`}
+              onClick={() => setRole("received")}
+            >
+              My mistakes
+            </button>
+            <button
+              className={`tab ${role === "given" ? "tab-active" : ""}`}
+              onClick={() => setRole("given")}
+            >
+              Given by me
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : corrections.length === 0 ? (
+          <div className="card bg-base-200 p-6 text-center">
+            <PencilLineIcon className="size-10 mx-auto opacity-40 mb-3" />
+            <h3 className="font-semibold text-lg mb-2">No corrections yet</h3>
+            <p className="text-base-content opacity-70">
+              {role === "received"
+                ? "When a partner corrects one of your messages it shows up here."
+                : "Open a chat and use \"Suggest correction\" on a partner's message."}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {corrections.map((correction) => {
+              // the other person in the exchange, whose account may be gone
+              const partner =
+                role === "received"
+                  ? { id: correction.authorId, name: correction.authorName, pic: correction.authorPic }
+                  : {
+                      id: correction.recipientId,
+                      name: correction.recipientName,
+                      pic: correction.recipientPic,
+                    };
+              partner.name = partner.name || "Deleted user";
+
+              return (
+                <div key={correction._id} className="card bg-base-200 shadow-sm">
+                  <div className="card-body p-4 space-y-2">
+                    <div className="flex items-center justify-between gap-3">
+                      <div className="flex items-center gap-3">
+                        <div className="avatar size-10 rounded-full">
+                          <img src={partner.pic} alt={partner.name} />
+                        </div>
+                        <div>
+                          <p className="font-semibold text-sm">
+                            {role === "received" ? `${partner.name} corrected you` : `You corrected ${partner.name}`}
+                          </p>
+                          <p className="text-xs opacity-60">
+                            {new Date(correction.createdAt).toLocaleString()}
+                          </p>
+                        </div>
+                      </div>
+
+                      {partner.id && (
+                        <Link to={`/chat/${partner.id}`} className="btn btn-ghost btn-sm">
+                          <MessageSquareIcon className="size-4 mr-1" />
+                          Open chat
+                        </Link>
+                      )}
+                    </div>
+
+                    <div className="bg-base-100 rounded-lg p-3">
+                      <CorrectionDiff
+                        originalText={correction.originalText}
+                        correctedText={correction.correctedText}
+                        explanation={correction.explanation}
+                      />
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+
+            {hasNextPage && (
+              <button
+                className="btn btn-outline btn-sm w-full"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+              >
+                {isFetchingNextPage ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CorrectionsPage;
@@ -1,33 +1,59 @@
-import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { useEffect, useState } from "react";
 import {
+  cancelFriendRequest,
+  getBlockedUsers,
   getOutgoingFriendReqs,
   getRecommendedUsers,
   getUserFriends,
   sendFriendRequest,
+  unblockUser,
 } from "../lib/api";
 import { Link } from "react-router";
-import { CheckCircleIcon, MapPinIcon, UserPlusIcon, UsersIcon } from "lucide-react";
+import { MapPinIcon, SparklesIcon, UserPlusIcon, UsersIcon, XCircleIcon } from "lucide-react";
 
 import { capitialize } from "../lib/utils";
+import useLanguages from "../hooks/useLanguages";
+import useFriendsPresence from "../hooks/useFriendsPresence";
 
-import FriendCard, { getLanguageFlag } from "../components/FriendCard";
+import FriendCard from "../components/FriendCard";
+import LanguageFlag from "../components/LanguageFlag";
 import NoFriendsFound from "../components/NoFriendsFound";
 
 const HomePage = () => {
   const queryClient = useQueryClient();
-  const [outgoingRequestsIds, setOutgoingRequestsIds] = useState(new Set());
+  const { languages } = useLanguages();
+  const friendsPresence = useFriendsPresence();
+  // recipient id -> outgoing request id, so a sent request can be cancelled
+  const [outgoingRequests, setOutgoingRequests] = useState(new Map());
+  const [filters, setFilters] = useState({ language: "", country: "", online: false });
 
   const { data: friends = [], isLoading: loadingFriends } = useQuery({
     queryKey: ["friends"],
     queryFn: getUserFriends,
   });
 
-  const { data: recommendedUsers = [], isLoading: loadingUsers } = useQuery({
-    queryKey: ["users"],
-    queryFn: getRecommendedUsers,
+  const {
+    data: recommendedPages,
+    isLoading: loadingUsers,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
+    queryKey: ["users", filters],
+    queryFn: ({ pageParam }) =>
+      getRecommendedUsers({
+        page: pageParam,
+        language: filters.language || undefined,
+        country: filters.country.trim() || undefined,
+        online: filters.online || undefined,
+      }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.page + 1 : undefined),
   });
 
+  const recommendedUsers = recommendedPages?.pages.flatMap((page) => page.users) || [];
+
   const { data: outgoingFriendReqs } = useQuery({
     queryKey: ["outgoingFriendReqs"],
     queryFn: getOutgoingFriendReqs,
@@ -38,14 +64,30 @@ const HomePage = () => {
     onSuccess: () => queryClient.invalidateQueries({ queryKey: ["outgoingFriendReqs"] }),
   });
 
+  const { data: blockedUsers = [] } = useQuery({
+    queryKey: ["blockedUsers"],
+    queryFn: getBlockedUsers,
+  });
+
+  const { mutate: unblockUserMutation, isPending: isUnblocking } = useMutation({
+    mutationFn: unblockUser,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["blockedUsers"] });
+      queryClient.invalidateQueries({ queryKey: ["users"] });
+    },
+  });
+
+  const { mutate: cancelRequestMutation, isPending: isCancelling } = useMutation({
+    mutationFn: cancelFriendRequest,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ["outgoingFriendReqs"] }),
+  });
+
   useEffect(() => {
-    const outgoingIds = new Set();
-    if (outgoingFriendReqs && outgoingFriendReqs.length > 0) {
-      outgoingFriendReqs.forEach((req) => {
-        outgoingIds.add(req.recipient._id);
-      });
-      setOutgoingRequestsIds(outgoingIds);
-    }
+    const outgoing = new Map();
+    (outgoingFriendReqs || []).forEach((req) => {
+      outgoing.set(req.recipient._id, req._id);
+    });
+    setOutgoingRequests(outgoing);
   }, [outgoingFriendReqs]);
 
   return (
@@ -68,7 +110,7 @@ const HomePage = () => {
         ) : (
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
             {friends.map((friend) => (
-              <FriendCard key={friend._id} friend={friend} />
+              <FriendCard key={friend._id} friend={friend} presence={friendsPresence[friend._id]} />
             ))}
           </div>
         )}
@@ -83,6 +125,38 @@ const HomePage = () => {
                 </p>
               </div>
             </div>
+
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-3 mt-4">
+              <select
+                className="select select-bordered select-sm"
+                value={filters.language}
+                onChange={(e) => setFilters({ ...filters, language: e.target.value })}
+              >
+                <option value="">Any language</option>
+                {languages.map((lang) => (
+                  <option key={lang.id} value={lang.id}>
+                    {lang.name}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="input input-bordered input-sm"
+                placeholder="Country"
+                value={filters.country}
+                onChange={(e) => setFilters({ ...filters, country: e.target.value })}
+              />
+              <label className="label cursor-pointer gap-2">
+                <input
+                  type="checkbox"
+                  className="toggle toggle-sm toggle-success"
+                  checked={filters.online}
+                  onChange={(e) => setFilters({ ...filters, online: e.target.checked })}
+                />
+                <span className="label-text">Online now</span>
+              </label>
+            </div>
           </div>
 
           {loadingUsers ? (
@@ -99,7 +173,8 @@ const HomePage = () => {
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {recommendedUsers.map((user) => {
-                const hasRequestBeenSent = outgoingRequestsIds.has(user._id);
+                const outgoingRequestId = outgoingRequests.get(user._id);
+                const hasRequestBeenSent = Boolean(outgoingRequestId);
 
                 return (
                   <div
@@ -123,14 +198,21 @@ const HomePage = () => {
                         </div>
                       </div>
 
+                      {user.matchType === "reciprocal" && (
+                        <span className="badge badge-accent gap-1">
+                          <SparklesIcon className="size-3" />
+                          Perfect match
+                        </span>
+                      )}
+
                       {/* Languages with flags */}
                       <div className="flex flex-wrap gap-1.5">
                         <span className="badge badge-secondary">
-                          {getLanguageFlag(user.nativeLanguage)}
+                          <LanguageFlag language={user.nativeLanguage} />
                           Native: {capitialize(user.nativeLanguage)}
                         </span>
                         <span className="badge badge-outline">
-                          {getLanguageFlag(user.learningLanguage)}
+                          <LanguageFlag language={user.learningLanguage} />
                           Learning: {capitialize(user.learningLanguage)}
                         </span>
                       </div>
@@ -140,15 +222,19 @@ const HomePage = () => {
                       {/* Action button */}
                       <button
                         className={`btn w-full mt-2 ${
-                          hasRequestBeenSent ? "btn-disabled" : "btn-primary"
+                          hasRequestBeenSent ? "btn-outline" : "btn-primary"
                         } `}
-                        onClick={() => sendRequestMutation(user._id)}
-                        disabled={hasRequestBeenSent || isPending}
+                        onClick={() =>
+                          hasRequestBeenSent
+                            ? cancelRequestMutation(outgoingRequestId)
+                            : sendRequestMutation(user._id)
+                        }
+                        disabled={isPending || isCancelling}
                       >
                         {hasRequestBeenSent ? (
                           <>
-                            <CheckCircleIcon className="size-4 mr-2" />
-                            Request Sent
+                            <XCircleIcon className="size-4 mr-2" />
+                            Cancel Request
                           </>
                         ) : (
                           <>
@@ -163,7 +249,44 @@ const HomePage = () => {
               })}
             </div>
           )}
+
+          {hasNextPage && (
+            <div className="flex justify-center mt-6">
+              <button
+                className="btn btn-outline"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+              >
+                {isFetchingNextPage ? "Loading..." : "Show more"}
+              </button>
+            </div>
+          )}
         </section>
+
+        {blockedUsers.length > 0 && (
+          <section>
+            <h2 className="text-xl font-semibold mb-4">Blocked Users</h2>
+            <div className="space-y-2">
+              {blockedUsers.map((user) => (
+                <div key={user._id} className="card bg-base-200">
+                  <div className="card-body p-3 flex-row items-center gap-3">
+                    <div className="avatar size-10 rounded-full">
+                      <img src={user.profilePic} alt={user.fullName} />
+                    </div>
+                    <span className="flex-1 font-medium">{user.fullName}</span>
+                    <button
+                      className="btn btn-outline btn-sm"
+                      onClick={() => unblockUserMutation(user._id)}
+                      disabled={isUnblocking}
+                    >
+                      Unblock
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,358 @@
+import { useEffect, useState } from "react";
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Link } from "react-router";
+import toast from "react-hot-toast";
+import {
+  BookOpenIcon,
+  BrainIcon,
+  MessageSquareIcon,
+  PencilIcon,
+  PlusIcon,
+  SearchIcon,
+  Trash2Icon,
+  VideoIcon,
+} from "lucide-react";
+import {
+  createVocabularyItem,
+  deleteVocabularyItem,
+  getReviewCards,
+  getVocabulary,
+  getVocabularyTags,
+  updateVocabularyItem,
+} from "../lib/api";
+import { parseTags } from "../lib/tags";
+import useLanguages from "../hooks/useLanguages";
+import { findLanguageByCode } from "../lib/languages";
+
+const emptyForm = { term: "", translation: "", notes: "", tags: "" };
+
+const toForm = (item) => ({
+  term: item.term,
+  translation: item.translation,
+  notes: item.notes,
+  tags: item.tags.join(", "),
+});
+
+// Term, meaning, notes and tags; shared by the add and edit forms
+const VocabularyForm = ({ initialValues, submitLabel, isPending, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initialValues);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.term.trim()) return;
+
+    onSubmit({ ...form, tags: parseTags(form.tags) });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input
+          type="text"
+          value={form.term}
+          onChange={(e) => setForm({ ...form, term: e.target.value })}
+          className="input input-bordered input-sm w-full"
+          placeholder="Word or phrase"
+          maxLength={200}
+          autoFocus
+        />
+        <input
+          type="text"
+          value={form.translation}
+          onChange={(e) => setForm({ ...form, translation: e.target.value })}
+          className="input input-bordered input-sm w-full"
+          placeholder="Meaning"
+          maxLength={1000}
+        />
+      </div>
+      <textarea
+        value={form.notes}
+        onChange={(e) => setForm({ ...form, notes: e.target.value })}
+        className="textarea textarea-bordered textarea-sm w-full"
+        placeholder="Notes (optional)"
+        maxLength={1000}
+        rows={2}
+      />
+      <input
+        type="text"
+        value={form.tags}
+        onChange={(e) => setForm({ ...form, tags: e.target.value })}
+        className="input input-bordered input-sm w-full"
+        placeholder="Tags, comma separated"
+      />
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="btn btn-ghost btn-sm">
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={isPending}>
+          {isPending ? "Saving..." : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const NotebookPage = () => {
+  const queryClient = useQueryClient();
+  const { languages } = useLanguages();
+
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [activeTag, setActiveTag] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const { data, isLoading, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ["vocabulary", search, activeTag],
+    queryFn: ({ pageParam }) =>
+      getVocabulary({
+        search: search || undefined,
+        tag: activeTag || undefined,
+        before: pageParam || undefined,
+      }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.nextCursor : undefined),
+  });
+
+  const { data: tags = [] } = useQuery({
+    queryKey: ["vocabularyTags"],
+    queryFn: getVocabularyTags,
+  });
+
+  const { data: review } = useQuery({
+    queryKey: ["vocabularyReview"],
+    queryFn: getReviewCards,
+  });
+
+  const invalidateNotebook = () => {
+    queryClient.invalidateQueries({ queryKey: ["vocabulary"] });
+    queryClient.invalidateQueries({ queryKey: ["vocabularyTags"] });
+    queryClient.invalidateQueries({ queryKey: ["vocabularyReview"] });
+  };
+
+  const onError = (error) => toast.error(error.response?.data?.message || "Something went wrong");
+
+  const { mutate: createMutation, isPending: isCreating } = useMutation({
+    mutationFn: createVocabularyItem,
+    onSuccess: () => {
+      setIsAdding(false);
+      invalidateNotebook();
+    },
+    onError,
+  });
+
+  const { mutate: updateMutation, isPending: isUpdating } = useMutation({
+    mutationFn: updateVocabularyItem,
+    onSuccess: () => {
+      setEditingId(null);
+      invalidateNotebook();
+    },
+    onError,
+  });
+
+  const { mutate: deleteMutation } = useMutation({
+    mutationFn: deleteVocabularyItem,
+    onSuccess: invalidateNotebook,
+    onError,
+  });
+
+  const handleDelete = (item) => {
+    if (window.confirm(`Remove "${item.term}" from your notebook?`)) {
+      deleteMutation(item._id);
+    }
+  };
+
+  const items = data?.pages.flatMap((page) => page.items) || [];
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="container mx-auto max-w-4xl space-y-6">
+        <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+          <h1 className="text-2xl sm:text-3xl font-bold tracking-tight">Notebook</h1>
+          <div className="flex gap-2">
+            <Link to="/review" className="btn btn-secondary btn-sm">
+              <BrainIcon className="size-4 mr-1" />
+              Review
+              {review?.dueCount > 0 && <span className="badge badge-sm">{review.dueCount}</span>}
+            </Link>
+            <button className="btn btn-primary btn-sm" onClick={() => setIsAdding(true)}>
+              <PlusIcon className="size-4 mr-1" />
+              Add word
+            </button>
+          </div>
+        </div>
+
+        {isAdding && (
+          <div className="card bg-base-200 p-4">
+            <VocabularyForm
+              initialValues={emptyForm}
+              submitLabel="Add"
+              isPending={isCreating}
+              onSubmit={createMutation}
+              onCancel={() => setIsAdding(false)}
+            />
+          </div>
+        )}
+
+        {/* SEARCH AND TAGS */}
+        <div className="space-y-3">
+          <label className="input input-bordered flex items-center gap-2">
+            <SearchIcon className="size-4 opacity-60" />
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="grow"
+              placeholder="Search words, meanings and notes"
+            />
+          </label>
+
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {tags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                  className={`badge gap-1 cursor-pointer ${
+                    activeTag === tag ? "badge-primary" : "badge-outline"
+                  }`}
+                >
+                  #{tag}
+                  <span className="opacity-60">{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : items.length === 0 ? (
+          <div className="card bg-base-200 p-6 text-center">
+            <BookOpenIcon className="size-10 mx-auto opacity-40 mb-3" />
+            <h3 className="font-semibold text-lg mb-2">
+              {search || activeTag ? "Nothing matches" : "Your notebook is empty"}
+            </h3>
+            <p className="text-base-content opacity-70">
+              Save translations from chats and call captions to build your vocabulary.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {items.map((item) => {
+              const fromLanguage = findLanguageByCode(languages, item.fromLanguage);
+              const toLanguage = findLanguageByCode(languages, item.toLanguage);
+
+              return (
+                <div key={item._id} className="card bg-base-200 shadow-sm">
+                  <div className="card-body p-4 space-y-2">
+                    {editingId === item._id ? (
+                      <VocabularyForm
+                        initialValues={toForm(item)}
+                        submitLabel="Save"
+                        isPending={isUpdating}
+                        onSubmit={(values) => updateMutation({ id: item._id, ...values })}
+                        onCancel={() => setEditingId(null)}
+                      />
+                    ) : (
+                      <>
+                        <div className="flex items-start justify-between gap-3">
+                          <div>
+                            <p className="font-semibold text-lg" dir="auto">
+                              {fromLanguage?.flag} {item.term}
+                            </p>
+                            {item.translation && (
+                              <p className="opacity-80" dir={toLanguage?.rtl ? "rtl" : "auto"}>
+                                {toLanguage?.flag} {item.translation}
+                              </p>
+                            )}
+                          </div>
+                          <div className="flex gap-1">
+                            <button
+                              className="btn btn-ghost btn-xs btn-square"
+                              onClick={() => setEditingId(item._id)}
+                              title="Edit"
+                            >
+                              <PencilIcon className="size-4" />
+                            </button>
+                            <button
+                              className="btn btn-ghost btn-xs btn-square text-error"
+                              onClick={() => handleDelete(item)}
+                              title="Delete"
+                            >
+                              <Trash2Icon className="size-4" />
+                            </button>
+                          </div>
+                        </div>
+
+                        {item.notes && <p className="text-sm opacity-70">{item.notes}</p>}
+
+                        {item.source.context && item.source.context !== item.term && (
+                          <p className="text-sm italic opacity-60" dir="auto">
+                            "{item.source.context}"
+                          </p>
+                        )}
+
+                        <div className="flex flex-wrap items-center gap-2 text-xs">
+                          {item.tags.map((tag) => (
+                            <button
+                              key={tag}
+                              onClick={() => setActiveTag(tag)}
+                              className="badge badge-outline badge-sm cursor-pointer"
+                            >
+                              #{tag}
+                            </button>
+                          ))}
+
+                          {item.source.kind === "chat" && item.source.partnerId && (
+                            <Link
+                              to={`/chat/${item.source.partnerId}?message=${item.source.messageId}`}
+                              className="link link-hover flex items-center gap-1 opacity-70"
+                            >
+                              <MessageSquareIcon className="size-3" />
+                              From chat with {item.source.partnerName || "a partner"}
+                            </Link>
+                          )}
+                          {item.source.kind === "call" && (
+                            <span className="flex items-center gap-1 opacity-70">
+                              <VideoIcon className="size-3" />
+                              From a call
+                            </span>
+                          )}
+
+                          <span className="opacity-50 ml-auto">
+                            {new Date(item.createdAt).toLocaleDateString()}
+                          </span>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+
+            {hasNextPage && (
+              <button
+                className="btn btn-outline btn-sm w-full"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+              >
+                {isFetchingNextPage ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotebookPage;
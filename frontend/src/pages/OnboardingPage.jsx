@@ -4,11 +4,12 @@ import { useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import { completeOnboarding } from "../lib/api";
 import { LoaderIcon, MapPinIcon, ShipWheelIcon, ShuffleIcon } from "lucide-react";
-import { LANGUAGES } from "../constants";
+import useLanguages from "../hooks/useLanguages";
 
 const OnboardingPage = () => {
   const { authUser } = useAuthUser();
   const queryClient = useQueryClient();
+  const { languages } = useLanguages();
 
   const [formState, setFormState] = useState({
     fullName: authUser?.fullName || "",
@@ -34,7 +35,10 @@ const OnboardingPage = () => {
   const handleSubmit = (e) => {
     e.preventDefault();
 
-    onboardingMutation(formState);
+    onboardingMutation({
+      ...formState,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
   };
 
   const handleRandomAvatar = () => {
@@ -121,9 +125,9 @@ const OnboardingPage = () => {
                   className="select select-bordered w-full"
                 >
                   <option value="">Select your native language</option>
-                  {LANGUAGES.map((lang) => (
-                    <option key={`native-${lang}`} value={lang.toLowerCase()}>
-                      {lang}
+                  {languages.map((lang) => (
+                    <option key={`native-${lang.id}`} value={lang.id}>
+                      {lang.name} ({lang.nativeName})
                     </option>
                   ))}
                 </select>
@@ -141,9 +145,9 @@ const OnboardingPage = () => {
                   className="select select-bordered w-full"
                 >
                   <option value="">Select language you're learning</option>
-                  {LANGUAGES.map((lang) => (
-                    <option key={`learning-${lang}`} value={lang.toLowerCase()}>
-                      {lang}
+                  {languages.map((lang) => (
+                    <option key={`learning-${lang.id}`} value={lang.id}>
+                      {lang.name} ({lang.nativeName})
                     </option>
                   ))}
                 </select>
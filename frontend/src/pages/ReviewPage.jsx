@@ -0,0 +1,176 @@
+import { useEffect, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Link } from "react-router";
+import toast from "react-hot-toast";
+import { ArrowLeftIcon, BrainIcon, PartyPopperIcon } from "lucide-react";
+import { getReviewCards, reviewVocabularyItem } from "../lib/api";
+import useLanguages from "../hooks/useLanguages";
+import { findLanguageByCode } from "../lib/languages";
+
+// SM-2 grades behind each button; "again" also brings the card back later in this session
+const GRADES = [
+  { key: "1", label: "Again", grade: 1, className: "btn-error" },
+  { key: "2", label: "Hard", grade: 3, className: "btn-warning" },
+  { key: "3", label: "Good", grade: 4, className: "btn-success" },
+  { key: "4", label: "Easy", grade: 5, className: "btn-info" },
+];
+
+const ReviewPage = () => {
+  const queryClient = useQueryClient();
+  const { languages } = useLanguages();
+
+  const [queue, setQueue] = useState(null);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["vocabularyReview"],
+    queryFn: getReviewCards,
+    refetchOnWindowFocus: false,
+  });
+
+  // The session works through its own copy so grading doesn't reshuffle the deck
+  useEffect(() => {
+    if (data && queue === null) setQueue(data.cards);
+  }, [data, queue]);
+
+  const { mutate: gradeMutation, isPending } = useMutation({
+    mutationFn: reviewVocabularyItem,
+    onError: (error) => toast.error(error.response?.data?.message || "Failed to save review"),
+  });
+
+  const card = queue?.[0];
+
+  const handleGrade = (grade) => {
+    if (!card || isPending) return;
+
+    gradeMutation(
+      { id: card._id, grade },
+      {
+        onSuccess: () => {
+          setReviewedCount((count) => count + 1);
+          setIsRevealed(false);
+          setQueue((prev) => {
+            const [current, ...rest] = prev;
+            return grade < 3 ? [...rest, current] : rest;
+          });
+        },
+      }
+    );
+  };
+
+  const startNewSession = () => {
+    setQueue(null);
+    setReviewedCount(0);
+    queryClient.invalidateQueries({ queryKey: ["vocabularyReview"] });
+  };
+
+  // Space reveals the answer, 1-4 grade it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!card || ["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+
+      if (!isRevealed && e.key === " ") {
+        e.preventDefault();
+        setIsRevealed(true);
+        return;
+      }
+
+      const option = isRevealed && GRADES.find((g) => g.key === e.key);
+      if (option) handleGrade(option.grade);
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  });
+
+  const fromLanguage = findLanguageByCode(languages, card?.fromLanguage);
+  const toLanguage = findLanguageByCode(languages, card?.toLanguage);
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="container mx-auto max-w-2xl space-y-6">
+        <div className="flex items-center justify-between gap-4">
+          <Link to="/notebook" className="btn btn-ghost btn-sm">
+            <ArrowLeftIcon className="size-4 mr-1" />
+            Notebook
+          </Link>
+          {queue && queue.length > 0 && (
+            <span className="text-sm opacity-70">
+              {queue.length} left · {reviewedCount} reviewed
+            </span>
+          )}
+        </div>
+
+        {isLoading || queue === null ? (
+          <div className="flex justify-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        ) : !card ? (
+          <div className="card bg-base-200 p-8 text-center">
+            {reviewedCount > 0 ? (
+              <PartyPopperIcon className="size-12 mx-auto text-primary mb-3" />
+            ) : (
+              <BrainIcon className="size-12 mx-auto opacity-40 mb-3" />
+            )}
+            <h3 className="font-semibold text-lg mb-2">
+              {reviewedCount > 0 ? `Done! You reviewed ${reviewedCount} cards` : "Nothing to review"}
+            </h3>
+            <p className="text-base-content opacity-70 mb-4">
+              Cards come back when they're due. Save more words from your chats to grow the deck.
+            </p>
+            {reviewedCount > 0 && (
+              <button className="btn btn-outline btn-sm mx-auto" onClick={startNewSession}>
+                Check for more
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="card bg-base-200 shadow-md">
+            <div className="card-body items-center text-center space-y-4 min-h-72 justify-center">
+              <p className="text-3xl font-bold" dir="auto">
+                {fromLanguage?.flag} {card.term}
+              </p>
+
+              {isRevealed ? (
+                <>
+                  <div className="divider my-0" />
+                  <p className="text-xl" dir={toLanguage?.rtl ? "rtl" : "auto"}>
+                    {toLanguage?.flag} {card.translation}
+                  </p>
+                  {card.notes && <p className="text-sm opacity-70">{card.notes}</p>}
+                  {card.source.context && card.source.context !== card.term && (
+                    <p className="text-sm italic opacity-60" dir="auto">
+                      "{card.source.context}"
+                    </p>
+                  )}
+
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 w-full pt-2">
+                    {GRADES.map(({ key, label, grade, className }) => (
+                      <button
+                        key={key}
+                        className={`btn btn-sm ${className}`}
+                        onClick={() => handleGrade(grade)}
+                        disabled={isPending}
+                      >
+                        {label}
+                        <kbd className="kbd kbd-xs">{key}</kbd>
+                      </button>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <button className="btn btn-primary" onClick={() => setIsRevealed(true)}>
+                  Show answer
+                  <kbd className="kbd kbd-xs">space</kbd>
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPage;
@@ -42,7 +42,7 @@ const TestPage = () => {
       const initSocket = async () => {
         try {
           addLog("Connecting to Socket.io server...", "info");
-          await socketService.connect(authUser);
+          await socketService.connect();
           addLog("✅ Connected to Socket.io server", "success");
         } catch (error) {
           addLog(`❌ Socket connection failed: ${error.message}`, "error");
@@ -52,19 +52,14 @@ const TestPage = () => {
       initSocket();
 
       // Add event listeners for logging
-      socketService.on("connect", () => addLog("🔌 Socket connected", "success"));
-      socketService.on("disconnect", (reason) => addLog(`🔌 Socket disconnected: ${reason}`, "warning"));
-      socketService.on("error", (error) => addLog(`❌ Socket error: ${error.message}`, "error"));
-      socketService.on("user:online", (data) => addLog(`👤 User online: ${data.userId}`, "info"));
-      socketService.on("user:offline", (data) => addLog(`👤 User offline: ${data.userId}`, "info"));
-
-      return () => {
-        socketService.off("connect");
-        socketService.off("disconnect");
-        socketService.off("error");
-        socketService.off("user:online");
-        socketService.off("user:offline");
-      };
+      const unsubscribers = [
+        socketService.on("connect", () => addLog("🔌 Socket connected", "success")),
+        socketService.on("disconnect", (reason) => addLog(`🔌 Socket disconnected: ${reason}`, "warning")),
+        socketService.on("error", (error) => addLog(`❌ Socket error: ${error.message}`, "error")),
+        socketService.on("presence:update", (data) => addLog(`👤 User ${data.status}: ${data.userId}`, "info")),
+      ];
+
+      return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
     }
   }, [authUser]);
 